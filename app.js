@@ -3,88 +3,76 @@ require('dotenv').config();
 const express = require("express");
 const app = express();
 const path = require("path");
+const { EventEmitter } = require("events");
 const ejsMate = require("ejs-mate");
 const methodOverride = require("method-override");
 const mongoose = require("mongoose");
 const User = require("./models/user.js");
 const Doctor = require("./models/doctor.js");
+const Prescription = require("./models/prescription.js");
+const Appointment = require("./models/appointment.js");
+const Admin = require("./models/admin.js");
+const Conversation = require("./models/conversation.js");
+const AuditLog = require("./models/auditLog.js");
+const ModelStat = require("./models/modelStat.js");
+const SymptomAnalysis = require("./models/symptomAnalysis.js");
+const RedFlagEvent = require("./models/redFlagEvent.js");
+const TriageSession = require("./models/triageSession.js");
+const LabReport = require("./models/labReport.js");
+const MedicineMonograph = require("./models/medicineMonograph.js");
+const Reminder = require("./models/reminder.js");
+const Notification = require("./models/notification.js");
+const DietPlan = require("./models/dietPlan.js");
+const HealthTip = require("./models/healthTip.js");
+const Vital = require("./models/vital.js");
+const Message = require("./models/message.js");
+const { mongoUrl } = require("./utils/db.js");
+const { createStorage } = require("./utils/storage.js");
+const { callWindow, createCallToken, readCallToken } = require("./utils/callTokens.js");
+const { detectFileType, decodeBase64Upload } = require("./utils/fileType.js");
 const session = require("express-session");
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const Groq = require('groq-sdk');
-
-// const dbUrl = process.env.MONGO_URL || "mongodb://127.0.0.1:27017/hacksprint";
-const dbUrl = "mongodb://127.0.0.1:27017/hacksprint";
+const cron = require("node-cron");
+const { createMailer } = require("./utils/mailer.js");
+const { APPOINTMENT_ACTION_TEMPLATES, renderNotification } = require("./utils/notifications.js");
+const { loadAIConfig, createProviderRegistry, isRateLimitError } = require("./utils/aiProviders.js");
+const { ModelBreaker, rankModels } = require("./utils/circuitBreaker.js");
+const { parseWithRepair } = require("./utils/structuredOutput.js");
+const { SYMPTOM_ANALYSIS_FORMAT, validateSymptomAnalysis } = require("./utils/symptomAnalysis.js");
+const { PRESCRIPTION_FORMAT, validatePrescriptionExtraction } = require("./utils/prescriptionExtraction.js");
+const { loadRedFlagRules, detectRedFlags, buildEmergencyResponse } = require("./utils/redFlags.js");
+const { loadLabAnalytes, extractLabResults, formatLabResult } = require("./utils/labResults.js");
+const { extractPdfText } = require("./utils/pdfText.js");
+const { loadInteractionData, checkInteractions } = require("./utils/interactions.js");
+const { loadFormulary, searchFormulary, resolveMedicine } = require("./utils/formulary.js");
+const {
+    MEAL_SLOTS, MAX_PLAN_DAYS, ACTIVITY_LEVELS, MEAL_FORMAT, DIET_PLAN_FORMAT,
+    computeBodyMetrics, dietPlanValidator, mealValidator, dayTotals, buildGroceryList
+} = require("./utils/dietPlan.js");
+const {
+    HEALTH_TIP_CATEGORIES, TIP_FEEDBACK, HEALTH_TIPS_FORMAT, tipFingerprint, healthTipsValidator, describeHealthProfile
+} = require("./utils/healthTips.js");
+const {
+    loadVitalTypes, describeVitalTypes, readVitalEntry, vitalAlert, vitalsToCsv, readVitalsCsv
+} = require("./utils/vitals.js");
+const {
+    APPOINTMENT_REMINDER_OFFSETS, parseReminderTimes, doseTimesDue, inQuietHours, quietHoursEnd,
+    doseReminderMessage, appointmentReminderMessage
+} = require("./utils/reminders.js");
+const { topicsFor, effectiveProfile, nextTriageQuestion, parseTriageAnswer, formatAnswer, triageTranscript } = require("./utils/triage.js");
+
+const dbUrl = mongoUrl();
 
 // ==================== MODEL CONFIGURATION ====================
-// Define model fallback order with Groq integration
-const MODEL_PRIORITY = [
-    {
-        name: "gemini-2.5-flash",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    },
-    {
-        name: "gemini-2.5-flash-lite", 
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    },
-    {
-        name: "llama-3.3-70b-versatile",
-        provider: "groq",
-        config: { temperature: 0.7, max_tokens: 8000 }
-    },
-    {
-        name: "gemini-2.5-flash-tts",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 800 }
-    },
-    {
-        name: "gemini-3-flash",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    },
-    {
-        name: "gemma-3-12b",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    },
-    {
-        name: "gemma-3-1b",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    },
-    {
-        name: "gemma-3-27b",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    },
-    {
-        name: "gemma-3-2b",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    },
-    {
-        name: "gemma-3-4b",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    },
-    {
-        name: "gemini-robotics-er-1.5-preview",
-        provider: "gemini",
-        config: { temperature: 0.7, topK: 40, topP: 0.95, maxOutputTokens: 8000 }
-    }
-];
+// Providers and the model fallback order live in config/ai.json (override with AI_CONFIG;
+// config/ai.mock.json runs everything offline against the mock provider)
+const aiConfig = loadAIConfig();
+const MODEL_PRIORITY = aiConfig.models;
 
-// Track model usage and failures
-const modelStats = new Map();
+// Circuit breaker, latency and usage counters per model (persisted to MongoDB, see syncModelStats)
+const modelBreakers = new Map();
 MODEL_PRIORITY.forEach(model => {
-    modelStats.set(model.name, { 
-        attempts: 0, 
-        failures: 0, 
-        lastFailure: null,
-        rateLimitHits: 0 
-    });
+    modelBreakers.set(model.name, new ModelBreaker(model.name, model.provider));
 });
 
 // ==================== UTILITY FUNCTIONS ====================
@@ -104,95 +92,197 @@ class AppError extends Error {
     }
 }
 
-// AI generation with automatic fallback (supports both Gemini and Groq)
-async function generateWithFallback(genAI, groqClient, prompt, customConfig = {}, imageParts = null) {
+// Record a privileged action; `actor` is the session's { id, name } object
+function recordAudit(actorRole, actor, action, target, note) {
+    return AuditLog.create({
+        actorRole,
+        actorId: actor?.id,
+        actorName: actor?.name,
+        action,
+        targetType: target.constructor.modelName,
+        targetId: target._id,
+        note
+    });
+}
+
+// Read a 1-based ?page= value into skip/limit
+function getPagination(page, limit) {
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+    return { page: current, limit, skip: (current - 1) * limit };
+}
+
+const MEDICINE_FIELDS = ['drug', 'strength', 'frequency', 'duration', 'instructions'];
+
+// Keep only the known medicine-line fields and drop rows without a drug name
+function normalizeMedicines(medicines) {
+    if (!Array.isArray(medicines)) return [];
+    return medicines
+        .map(m => {
+            if (!m || typeof m !== 'object') {
+                throw new AppError('Each medicine must be an object', 400);
+            }
+            const line = {};
+            MEDICINE_FIELDS.forEach(field => {
+                const value = m[field] ?? '';
+                if (typeof value !== 'string') {
+                    throw new AppError(`Medicine ${field} must be text`, 400);
+                }
+                line[field] = value.trim();
+            });
+            return line;
+        })
+        .filter(m => m.drug);
+}
+
+// Which role may move an appointment into which status, and from which statuses
+const APPOINTMENT_ACTIONS = {
+    confirm: { to: 'Confirmed', from: ['Pending'], roles: ['doctor'] },
+    complete: { to: 'Completed', from: ['Pending', 'Confirmed'], roles: ['doctor'] },
+    cancel: { to: 'Cancelled', from: ['Pending', 'Confirmed'], roles: ['doctor', 'patient'] },
+    reschedule: { to: null, from: ['Pending', 'Confirmed'], roles: ['doctor', 'patient'] }
+};
+
+// Apply a lifecycle action to an appointment and record it in its status history
+function applyAppointmentAction(appointment, action, role, { reason, date, time } = {}) {
+    const rule = APPOINTMENT_ACTIONS[action];
+    if (!rule) {
+        throw new AppError(`Unknown appointment action: ${action}`, 400);
+    }
+    if (!rule.roles.includes(role)) {
+        throw new AppError(`Only the ${rule.roles.join(' or ')} can ${action} this appointment`, 403);
+    }
+    if (!rule.from.includes(appointment.status)) {
+        throw new AppError(`Cannot ${action} an appointment that is ${appointment.status}`, 409);
+    }
+
+    let note;
+    if (action === 'cancel') {
+        note = (reason || '').trim();
+        if (!note) {
+            throw new AppError('A cancellation reason is required', 400);
+        }
+        appointment.cancelReason = note;
+        appointment.status = rule.to;
+    } else if (action === 'reschedule') {
+        const newDate = new Date(`${date}T${time}`);
+        if (!date || !time || isNaN(newDate.getTime())) {
+            throw new AppError('A valid new date and time are required', 400);
+        }
+        if (newDate <= new Date()) {
+            throw new AppError('Appointments can only be moved to a future time', 400);
+        }
+        note = `Rescheduled from ${appointment.date ? appointment.date.toISOString() : 'unscheduled'} to ${newDate.toISOString()}`;
+        appointment.date = newDate;
+        // A patient moving the booking needs the doctor to confirm again
+        if (role === 'patient') {
+            appointment.status = 'Pending';
+        }
+    } else {
+        appointment.status = rule.to;
+    }
+
+    appointment.statusHistory.push({
+        status: appointment.status,
+        changedBy: role,
+        note,
+        changedAt: new Date()
+    });
+}
+
+// Runs one request down the model chain until a model answers. Models are tried in order of
+// recent success and latency (see rankModels); open or admin-disabled breakers are skipped.
+// A model that fails before its first streamed token is skipped; after that a plain text stream has
+// no clean handover. A checked reply is only used once valid, so its stream can start over on the
+// next model: `request.onReset()` tells the client to drop what it was shown.
+// With `request.validate`, a reply that doesn't parse is re-asked once on the same model before moving on.
+async function runWithFallback(request, label) {
     let lastError = null;
     
-    for (const modelConfig of MODEL_PRIORITY) {
-        const stats = modelStats.get(modelConfig.name);
-        stats.attempts++;
+    for (const modelConfig of rankModels(MODEL_PRIORITY, modelBreakers)) {
+        const breaker = modelBreakers.get(modelConfig.name);
+        const provider = aiProviders.get(modelConfig.provider);
+        
+        if (request.images && !provider.supportsImages) {
+            console.log(`⚠️ ${modelConfig.provider} doesn't support image input, skipping ${modelConfig.name}...`);
+            continue;
+        }
+        if (request.images && !provider.supportsPdf && request.images.some(image => image.mimeType === 'application/pdf')) {
+            console.log(`⚠️ ${modelConfig.provider} doesn't support PDF input, skipping ${modelConfig.name}...`);
+            continue;
+        }
         
-        // Skip if recently rate limited (within last 60 seconds)
-        if (stats.lastFailure && (Date.now() - stats.lastFailure) < 60000) {
-            console.log(`⏭️ Skipping ${modelConfig.name} (recently rate limited)`);
+        if (!breaker.canAttempt()) {
+            console.log(`⏭️ Skipping ${modelConfig.name} (${breaker.disabled ? 'disabled' : `circuit ${breaker.state}`})`);
             continue;
         }
         
+        let streamed = false;
+        const startedAt = Date.now();
+        
         try {
-            console.log(`🤖 Trying model: ${modelConfig.name} (${modelConfig.provider}) - Attempt ${stats.attempts}`);
+            console.log(`🤖 ${label} trying: ${modelConfig.name} (${modelConfig.provider}, circuit ${breaker.state})`);
             
-            if (modelConfig.provider === "groq") {
-                // Use Groq API
-                if (imageParts) {
-                    console.log(`⚠️ Groq doesn't support image input, skipping to next model...`);
-                    continue;
-                }
-                
-                const completion = await groqClient.chat.completions.create({
-                    model: modelConfig.name,
-                    messages: [
-                        {
-                            role: "user",
-                            content: prompt
-                        }
-                    ],
-                    temperature: customConfig.temperature || modelConfig.config.temperature,
-                    max_tokens: customConfig.maxOutputTokens || modelConfig.config.max_tokens,
-                });
-                
-                const text = completion.choices[0]?.message?.content || '';
-                console.log(`✅ Success with ${modelConfig.name} (Groq)`);
-                
-                return { 
-                    text, 
-                    modelUsed: modelConfig.name,
-                    provider: 'groq',
-                    success: true 
-                };
-                
-            } else {
-                // Use Gemini API
-                const model = genAI.getGenerativeModel({
-                    model: modelConfig.name,
-                    generationConfig: { ...modelConfig.config, ...customConfig }
+            const call = {
+                ...request,
+                model: modelConfig.name,
+                config: { ...modelConfig.config, ...request.config },
+                onToken: request.onToken && ((token) => {
+                    streamed = true;
+                    request.onToken(token);
+                })
+            };
+            const text = await provider.generate(call);
+            
+            let data;
+            if (request.validate) {
+                data = await parseWithRepair(text, request.validate, (repairPrompt) => {
+                    console.log(`🔧 ${modelConfig.name} returned unusable output, asking it to fix it...`);
+                    return provider.generate({
+                        ...call,
+                        prompt: repairPrompt,
+                        history: [
+                            ...(call.history || []),
+                            { role: 'user', content: call.prompt },
+                            { role: 'assistant', content: text }
+                        ],
+                        onToken: null
+                    });
                 });
-                
-                let result;
-                if (imageParts) {
-                    result = await model.generateContent([prompt, ...imageParts]);
-                } else {
-                    result = await model.generateContent(prompt);
-                }
-                
-                const text = result.response.text();
-                console.log(`✅ Success with ${modelConfig.name} (Gemini)`);
-                
-                return { 
-                    text, 
-                    modelUsed: modelConfig.name,
-                    provider: 'gemini',
-                    success: true 
-                };
             }
             
+            breaker.recordSuccess(Date.now() - startedAt);
+            console.log(`✅ ${label} success with ${modelConfig.name} (${modelConfig.provider}) in ${Date.now() - startedAt}ms`);
+            
+            return { 
+                text, 
+                data,
+                modelUsed: modelConfig.name,
+                provider: modelConfig.provider,
+                success: true 
+            };
+            
         } catch (error) {
-            stats.failures++;
             lastError = error;
             
-            // Check if it's a rate limit error
-            const isRateLimit = error.message?.includes('RESOURCE_EXHAUSTED') || 
-                               error.message?.includes('429') ||
-                               error.message?.includes('quota') ||
-                               error.message?.includes('rate limit') ||
-                               error.message?.includes('Rate limit');
+            const rateLimited = isRateLimitError(error);
+            breaker.recordFailure({ rateLimited, message: error.message });
             
-            if (isRateLimit) {
-                stats.rateLimitHits++;
-                stats.lastFailure = Date.now();
+            if (rateLimited) {
                 console.log(`⚠️ Rate limit hit on ${modelConfig.name}. Trying next model...`);
             } else {
                 console.log(`❌ Error with ${modelConfig.name}: ${error.message}`);
             }
+            if (breaker.state === 'open') {
+                console.log(`🔌 Circuit open for ${modelConfig.name} until ${breaker.openUntil.toISOString()}`);
+            }
+            
+            // Part of the answer already reached the client, so another model can't take over
+            if (streamed && !request.validate) {
+                throw new AppError('The AI response was interrupted. Please try again.', 502);
+            }
+            if (streamed && request.onReset) {
+                request.onReset();
+            }
             
             // Continue to next model
             continue;
@@ -200,121 +290,276 @@ async function generateWithFallback(genAI, groqClient, prompt, customConfig = {}
     }
     
     // All models failed
-    console.error('❌ All models failed');
+    console.error(`❌ All models failed (${label})`);
     throw new AppError(
         `AI service temporarily unavailable. Please try again in a moment. Last error: ${lastError?.message || 'Unknown'}`,
         503
     );
 }
 
-// Chat generation with fallback (supports both Gemini and Groq)
-async function chatWithFallback(genAI, groqClient, chat, message, sessionId) {
-    let lastError = null;
+// AI generation with automatic fallback.
+// `images` is [{ data: base64, mimeType }]; pass `onToken` to stream the answer.
+async function generateWithFallback(prompt, customConfig = {}, images = null, onToken = null) {
+    return runWithFallback({ prompt, images, config: customConfig, onToken }, 'Generate');
+}
+
+// Generation that must come back as JSON; `validate(parsed)` returns the cleaned value
+// (as `result.data`) or throws describing what is wrong. `onToken` receives the raw reply
+// as it is written, for showing progress only: a reply is usable once it has been checked.
+// `onReset` runs when a streamed reply is dropped and the next model starts over.
+async function generateJSONWithFallback(prompt, customConfig, validate, images = null, onToken = null, onReset = null) {
+    return runWithFallback({ prompt, images, config: customConfig, validate, onToken, onReset }, 'Generate JSON');
+}
+
+// Dr. AI persona, sent to every provider ahead of the conversation
+const CHAT_SYSTEM_PROMPT = "You are Dr. AI, the official medical assistant for the DocOnCall platform. Your role is to be a friendly and empathetic medical assistant chatbot for a virtual healthcare platform. Your role is to: 1) Ask relevant questions about symptoms, 2) Provide general health guidance, 3) Show empathy and be reassuring, 4) Keep responses concise (2-4 sentences), 5) ALWAYS remind users this is not a replacement for professional medical advice. Be warm, professional, and helpful.";
+
+// Chat generation with fallback.
+// `history` is the stored conversation ([{ role: 'user' | 'assistant', content }]) and is
+// replayed in full to whichever model answers, so switching models keeps the context.
+// Pass `onToken` to stream the reply.
+async function chatWithFallback(history, message, onToken = null) {
+    const result = await runWithFallback({
+        prompt: message,
+        system: CHAT_SYSTEM_PROMPT,
+        history: history.map(m => ({ role: m.role, content: m.content })),
+        onToken
+    }, 'Chat');
     
-    for (const modelConfig of MODEL_PRIORITY) {
-        const stats = modelStats.get(modelConfig.name);
-        
-        if (stats.lastFailure && (Date.now() - stats.lastFailure) < 60000) {
-            continue;
+    return { ...result, reply: result.text };
+}
+
+// Screens patient text with the red-flag rules before it reaches a model.
+// Returns the emergency payload to send instead of an AI answer, or null to carry on.
+// After seeing the warning the patient may continue by sending its `redFlagEventId`
+// back as `acknowledgedRedFlag`, which lets that one request through.
+async function screenForRedFlags(req, route, text) {
+    const matches = detectRedFlags(redFlagRules.rules, text);
+    if (matches.length === 0) {
+        return null;
+    }
+
+    if (req.body.acknowledgedRedFlag) {
+        if (!mongoose.isValidObjectId(req.body.acknowledgedRedFlag)) {
+            throw new AppError('acknowledgedRedFlag must be a red-flag event id', 400);
         }
-        
-        try {
-            console.log(`🤖 Chat trying: ${modelConfig.name} (${modelConfig.provider})`);
-            stats.attempts++;
-            
-            if (modelConfig.provider === "groq") {
-                // Use Groq for chat
-                const systemMessage = "You are Dr. AI, the official medical assistant for the DocOnCall platform. Your role is to be a friendly and empathetic medical assistant chatbot for a virtual healthcare platform. Your role is to: 1) Ask relevant questions about symptoms, 2) Provide general health guidance, 3) Show empathy and be reassuring, 4) Keep responses concise (2-4 sentences), 5) ALWAYS remind users this is not a replacement for professional medical advice. Be warm, professional, and helpful.";
-                
-                const completion = await groqClient.chat.completions.create({
-                    model: modelConfig.name,
-                    messages: [
-                        {
-                            role: "system",
-                            content: systemMessage
-                        },
-                        {
-                            role: "user",
-                            content: message
-                        }
-                    ],
-                    temperature: modelConfig.config.temperature,
-                    max_tokens: modelConfig.config.max_tokens,
-                });
-                
-                const reply = completion.choices[0]?.message?.content || '';
-                console.log(`✅ Chat success with ${modelConfig.name} (Groq)`);
-                
-                return { 
-                    reply, 
-                    chat: null, // Groq doesn't maintain chat state in the same way
-                    modelUsed: modelConfig.name,
-                    provider: 'groq',
-                    success: true 
-                };
-                
-            } else {
-                // Use Gemini for chat
-                // If we need to recreate chat with different model
-                if (!chat || chat.modelName !== modelConfig.name) {
-                    const model = genAI.getGenerativeModel({
-                        model: modelConfig.name,
-                        generationConfig: modelConfig.config
-                    });
-                    
-                    chat = model.startChat({
-                        history: [
-                            {
-                                role: "user",
-                                parts: [{ text: "You are Dr. AI, the official medical assistant for the DocOnCall platform. Your role is to be a friendly and empathetic medical assistant chatbot for a virtual healthcare platform. Your role is to: 1) Ask relevant questions about symptoms, 2) Provide general health guidance, 3) Show empathy and be reassuring, 4) Keep responses concise (2-4 sentences), 5) ALWAYS remind users this is not a replacement for professional medical advice. Be warm, professional, and helpful." }]
-                            },
-                            {
-                                role: "model",
-                                parts: [{ text: "Hello! I'm Dr. AI, your virtual health assistant. I'm here to help answer your health questions and provide general guidance. Please remember that I'm not a replacement for professional medical advice. How can I assist you today?" }]
-                            }
-                        ]
-                    });
-                    chat.modelName = modelConfig.name;
-                }
-                
-                const result = await chat.sendMessage(message);
-                const reply = result.response.text();
-                
-                console.log(`✅ Chat success with ${modelConfig.name} (Gemini)`);
-                
-                return { 
-                    reply, 
-                    chat,
-                    modelUsed: modelConfig.name,
-                    provider: 'gemini',
-                    success: true 
-                };
-            }
-            
-        } catch (error) {
-            stats.failures++;
-            lastError = error;
-            
-            const isRateLimit = error.message?.includes('RESOURCE_EXHAUSTED') || 
-                               error.message?.includes('429') ||
-                               error.message?.includes('quota') ||
-                               error.message?.includes('rate limit') ||
-                               error.message?.includes('Rate limit');
-            
-            if (isRateLimit) {
-                stats.rateLimitHits++;
-                stats.lastFailure = Date.now();
-                console.log(`⚠️ Chat rate limit on ${modelConfig.name}`);
-            }
-            
-            continue;
+        const acknowledged = await RedFlagEvent.findOneAndUpdate(
+            { _id: req.body.acknowledgedRedFlag, user: req.session.user_id, route },
+            { continuedAt: new Date() }
+        );
+        if (acknowledged) {
+            console.log(`⚠️ Patient continued past red flags (${acknowledged.ruleIds.join(', ')}) on ${route}`);
+            return null;
         }
     }
-    
-    throw new AppError(
-        `AI chat temporarily unavailable. Please try again in a moment.`,
-        503
-    );
+
+    const event = await RedFlagEvent.create({
+        user: req.session.user_id,
+        route,
+        ruleIds: matches.map(m => m.id),
+        categories: [...new Set(matches.map(m => m.category))],
+        excerpt: text.slice(0, 500)
+    });
+    console.log(`🚨 Red flags on ${route}: ${event.ruleIds.join(', ')}`);
+
+    return {
+        success: true,
+        ...buildEmergencyResponse(matches, redFlagRules.helplines[EMERGENCY_REGION] || []),
+        redFlagEventId: event._id
+    };
+}
+
+// Answers an AI route as JSON, or as Server-Sent Events when the client sends
+// `Accept: text/event-stream`: one `token` event per chunk, then `done` carrying
+// the same payload the JSON response would, or `error` if generation fails.
+// A `reset` event means the tokens so far were dropped and another model is starting over.
+// `generate(onToken, onReset)` runs the model; `toPayload(result)` builds the response body.
+async function respondWithAI(req, res, generate, toPayload) {
+    if (!(req.get('Accept') || '').includes('text/event-stream')) {
+        const result = await generate(null);
+        return res.json(await toPayload(result));
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let clientGone = false;
+    res.on('close', () => { clientGone = true; });
+    const send = (event, data) => {
+        if (!clientGone) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const result = await generate(
+            token => send('token', { text: token }),
+            () => send('reset', {})
+        );
+        send('done', await toPayload(result));
+    } catch (err) {
+        console.error('❌ Stream Error:', err.message);
+        send('error', {
+            success: false,
+            error: err.isOperational ? err.message : 'Something went wrong on the server.'
+        });
+    }
+    res.end();
+}
+
+// ==================== AVAILABILITY & SLOTS ====================
+// Schedules and bookings use server local time, matching `new Date(`${date}T${time}`)`
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+};
+
+const toHHMM = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const formatLocalDate = (d) =>
+    `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+// Validate a { start, end, breaks } block; returns a clean copy or throws
+function normalizeHours(hours, label) {
+    const { start, end } = hours;
+    if (!TIME_RE.test(start || '') || !TIME_RE.test(end || '') || toMinutes(start) >= toMinutes(end)) {
+        throw new AppError(`${label}: start and end must be HH:MM with start before end`, 400);
+    }
+    const breaks = (hours.breaks || []).filter(b => b && (b.start || b.end)).map(b => {
+        if (!TIME_RE.test(b.start || '') || !TIME_RE.test(b.end || '') || toMinutes(b.start) >= toMinutes(b.end)) {
+            throw new AppError(`${label}: breaks must be HH:MM with start before end`, 400);
+        }
+        return { start: b.start, end: b.end };
+    });
+    return { start, end, breaks };
+}
+
+// Validate a submitted availability schedule
+function normalizeAvailability({ slotMinutes, weekly, exceptions } = {}) {
+    const slot = Number(slotMinutes);
+    if (!Number.isInteger(slot) || slot < 5 || slot > 240) {
+        throw new AppError('Slot length must be between 5 and 240 minutes', 400);
+    }
+
+    const seenDays = new Set();
+    const cleanWeekly = (Array.isArray(weekly) ? weekly : []).map(w => {
+        const day = Number(w.day);
+        if (!Number.isInteger(day) || day < 0 || day > 6 || seenDays.has(day)) {
+            throw new AppError('Each working day (0-6) may appear once', 400);
+        }
+        seenDays.add(day);
+        return { day, ...normalizeHours(w, `Day ${day}`) };
+    });
+
+    const cleanExceptions = (Array.isArray(exceptions) ? exceptions : []).map(e => {
+        if (!DATE_RE.test(e.date || '')) {
+            throw new AppError('Exception dates must be YYYY-MM-DD', 400);
+        }
+        if (e.unavailable) {
+            return { date: e.date, unavailable: true, breaks: [] };
+        }
+        return { date: e.date, unavailable: false, ...normalizeHours(e, e.date) };
+    });
+
+    return { slotMinutes: slot, weekly: cleanWeekly, exceptions: cleanExceptions };
+}
+
+// Slot start times ("HH:MM") the doctor's schedule offers on a YYYY-MM-DD date
+function getScheduledSlots(doctor, dateStr) {
+    const availability = doctor.availability || {};
+    const slotMinutes = availability.slotMinutes || 30;
+
+    let hours = (availability.exceptions || []).find(e => e.date === dateStr);
+    if (hours && hours.unavailable) return [];
+    if (!hours) {
+        const day = new Date(`${dateStr}T00:00`).getDay();
+        hours = (availability.weekly || []).find(w => w.day === day);
+    }
+    if (!hours || !hours.start || !hours.end) return [];
+
+    const breaks = (hours.breaks || []).map(b => [toMinutes(b.start), toMinutes(b.end)]);
+    const slots = [];
+    for (let t = toMinutes(hours.start); t + slotMinutes <= toMinutes(hours.end); t += slotMinutes) {
+        if (!breaks.some(([bs, be]) => t < be && t + slotMinutes > bs)) {
+            slots.push(toHHMM(t));
+        }
+    }
+    return slots;
+}
+
+// Start times (ms) of live bookings that could overlap slots between fromStr and toStr
+async function findLiveBookings(doctor, fromStr, toStr, ignoreAppointmentId = null) {
+    const slotMs = (doctor.availability?.slotMinutes || 30) * 60000;
+    const end = new Date(`${toStr}T00:00`);
+    end.setDate(end.getDate() + 1);
+
+    const query = {
+        doctor: doctor._id,
+        status: { $ne: 'Cancelled' },
+        date: { $gt: new Date(new Date(`${fromStr}T00:00`).getTime() - slotMs), $lt: end }
+    };
+    if (ignoreAppointmentId) {
+        query._id = { $ne: ignoreAppointmentId };
+    }
+
+    const bookings = await Appointment.find(query).select('date');
+    return bookings.map(b => b.date.getTime());
+}
+
+// Free slots per date in [fromStr, toStr], without past times or slots overlapping a booking
+function getFreeSlots(doctor, booked, fromStr, toStr) {
+    const slotMs = (doctor.availability?.slotMinutes || 30) * 60000;
+    const now = Date.now();
+
+    const result = {};
+    const last = new Date(`${toStr}T00:00`);
+    for (let d = new Date(`${fromStr}T00:00`); d <= last; d.setDate(d.getDate() + 1)) {
+        const dateStr = formatLocalDate(d);
+        result[dateStr] = getScheduledSlots(doctor, dateStr).filter(time => {
+            const start = new Date(`${dateStr}T${time}`).getTime();
+            return start > now && !booked.some(b => b < start + slotMs && b + slotMs > start);
+        });
+    }
+    return result;
+}
+
+// Throw unless date+time is a free slot in the doctor's schedule
+async function assertSlotBookable(doctor, date, time, ignoreAppointmentId = null) {
+    if (!DATE_RE.test(date || '') || !TIME_RE.test(time || '')) {
+        throw new AppError('A valid date (YYYY-MM-DD) and time (HH:MM) are required', 400);
+    }
+    if (new Date(`${date}T${time}`) <= new Date()) {
+        throw new AppError('Cannot book a time in the past', 400);
+    }
+    if (!getScheduledSlots(doctor, date).includes(time)) {
+        throw new AppError(`Dr. ${doctor.name} is not available at ${time} on ${date}`, 400);
+    }
+    const booked = await findLiveBookings(doctor, date, date, ignoreAppointmentId);
+    if (!getFreeSlots(doctor, booked, date, date)[date].includes(time)) {
+        throw new AppError('That slot is already booked. Please pick another time.', 409);
+    }
+}
+
+// Save a booking; the unique slot index turns a racing double-booking into a 409
+async function saveAppointment(appointment) {
+    try {
+        return await appointment.save();
+    } catch (err) {
+        if (err.code === 11000) {
+            throw new AppError('That slot has just been booked. Please pick another time.', 409);
+        }
+        throw err;
+    }
 }
 
 // ==================== MIDDLEWARE SETUP ====================
@@ -340,6 +585,9 @@ const sessionConfig = {
 };
 app.use(session(sessionConfig));
 
+// ==================== FILE STORAGE ====================
+const storage = createStorage();
+
 // Make current user available to all templates
 app.use((req, res, next) => {
     res.locals.currentUser = req.session.user;
@@ -347,17 +595,51 @@ app.use((req, res, next) => {
 });
 
 // ==================== AI INITIALIZATION ====================
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const groqClient = new Groq({
-    apiKey: process.env.GROQ_API_KEY
-});
-const chatSessions = new Map();
+const aiProviders = createProviderRegistry(aiConfig.providers);
 
-console.log('🤖 Initializing AI providers with fallback support...');
+console.log(`🤖 Initializing AI providers from ${path.relative(__dirname, aiConfig.file)}...`);
+console.log(`🔌 Providers: ${[...aiProviders.keys()].join(', ')}`);
 console.log(`🔑 Gemini API Key: ${process.env.GEMINI_API_KEY ? 'Configured ✓' : 'Missing ✗'}`);
 console.log(`🔑 Groq API Key: ${process.env.GROQ_API_KEY ? 'Configured ✓' : 'Missing ✗'}`);
 console.log('📋 Fallback order:', MODEL_PRIORITY.map(m => `${m.name} (${m.provider})`).join(' → '));
 
+const MODEL_STATS_SYNC_MS = 15 * 1000;
+let modelStatsLoaded = false;
+
+// Restore breaker state and counters saved by a previous run
+async function loadModelStats() {
+    const saved = await ModelStat.find({ name: { $in: MODEL_PRIORITY.map(m => m.name) } }).lean();
+    saved.forEach(doc => modelBreakers.get(doc.name).restore(doc));
+    modelStatsLoaded = true;
+    console.log(`📊 Restored stats for ${saved.length} models`);
+}
+
+// Write this instance's counters, then pick up admin enable/disable changes made elsewhere.
+// `disabled` is only ever written by the admin route, never by the sync.
+async function syncModelStats() {
+    // Don't overwrite saved stats with empty counters before they have been restored
+    if (!modelStatsLoaded || mongoose.connection.readyState !== 1) return;
+
+    await ModelStat.bulkWrite([...modelBreakers.values()].map(breaker => {
+        const { disabled, ...fields } = breaker.snapshot();
+        return {
+            updateOne: { filter: { name: breaker.name }, update: { $set: fields }, upsert: true }
+        };
+    }));
+
+    const flags = await ModelStat.find({ name: { $in: [...modelBreakers.keys()] } }).select('name disabled').lean();
+    flags.forEach(doc => { modelBreakers.get(doc.name).disabled = doc.disabled; });
+}
+
+setInterval(() => {
+    syncModelStats().catch(err => console.error('❌ Model stats sync failed:', err.message));
+}, MODEL_STATS_SYNC_MS).unref();
+
+// Emergency red-flag rules, checked before patient text reaches any model (see screenForRedFlags)
+const redFlagRules = loadRedFlagRules();
+const EMERGENCY_REGION = process.env.EMERGENCY_REGION || 'IN';
+console.log(`🚨 Loaded ${redFlagRules.rules.length} red-flag rules (helplines: ${EMERGENCY_REGION})`);
+
 // ==================== MONGODB CONNECTION ====================
 async function main() {
     console.log("Connecting to MongoDB...HackSprint");
@@ -367,25 +649,38 @@ async function main() {
 main()
     .then(() => {
         console.log("connected to mongoDB");
+        return loadModelStats();
+    })
+    .then(() => {
+        startNotificationOutbox();
+        startReminderScheduler();
+        startDailyTips();
     })
     .catch((err) => {
         console.log(err);
     });
 
 // ==================== AUTHENTICATION MIDDLEWARE ====================
-const requireLogin =
- (req, res, next) => {
-    if (!req.session.user_id) {
-        return res.redirect('/login');
-    }
-    next();
+// Session key holding each role's account id, and where to send anonymous visitors
+const ROLES = {
+    patient: { sessionKey: 'user_id', loginPath: '/login' },
+    doctor: { sessionKey: 'doctor_id', loginPath: '/doctor/login' },
+    admin: { sessionKey: 'admin_id', loginPath: '/admin/login' }
 };
 
-const requireDoctorLogin = (req, res, next) => {
-    if (!req.session.doctor_id) {
-        return res.redirect('/doctor/login');
+// Allow the request through only if the session belongs to one of `roles`
+const requireRole = (...roles) => (req, res, next) => {
+    if (roles.some(role => req.session[ROLES[role].sessionKey])) {
+        return next();
     }
-    next();
+
+    if (req.originalUrl.startsWith('/api/')) {
+        const loggedInAsOther = Object.values(ROLES).some(r => req.session[r.sessionKey]);
+        return next(loggedInAsOther
+            ? new AppError('You do not have permission to do that', 403)
+            : new AppError('Please log in to continue', 401));
+    }
+    res.redirect(ROLES[roles[0]].loginPath);
 };
 
 // ==================== AUTHENTICATION ROUTES ====================
@@ -411,14 +706,14 @@ app.post("/login", wrapAsync(async (req, res, next) => {
         throw new AppError("Email and password are required", 400);
     }
 
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
         console.log(`❌ Login failed - User not found: ${email}`);
         throw new AppError("Invalid email or password", 401);
     }
 
-    const isValid = password === user.password;
+    const isValid = await user.verifyPassword(password);
 
     if (!isValid) {
         console.log(`❌ Login failed - Invalid password for: ${email}`);
@@ -438,7 +733,6 @@ app.post("/login", wrapAsync(async (req, res, next) => {
     console.log('='.repeat(60));
     console.log(`👤 Username: ${user.name}`);
     console.log(`📧 Email: ${user.email}`);
-    console.log(`🔑 Password: ${password}`);
     console.log(`🕐 Login Time: ${new Date().toISOString()}`);
     console.log('='.repeat(60) + '\n');
 
@@ -465,6 +759,7 @@ app.post("/signup", wrapAsync(async (req, res, next) => {
 
     const user = new User({ name, email, password });
     await user.save();
+    await queueNotification('patient.welcome', 'User', user, { patient: user });
 
     req.session.user_id = user._id;
     req.session.user = {
@@ -479,7 +774,6 @@ app.post("/signup", wrapAsync(async (req, res, next) => {
     console.log('='.repeat(60));
     console.log(`👤 Username: ${name}`);
     console.log(`📧 Email: ${email}`);
-    console.log(`🔑 Password: ${password}`);
     console.log(`🕐 Signup Time: ${new Date().toISOString()}`);
     console.log(`🆔 User ID: ${user._id}`);
     console.log('='.repeat(60) + '\n');
@@ -524,16 +818,16 @@ app.get("/doctor/login", (req, res) => {
 
 app.post("/doctor/login", wrapAsync(async (req, res) => {
     const { email, password } = req.body;
-    const doctor = await Doctor.findOne({ email });
+    const doctor = await Doctor.findOne({ email }).select('+password');
     
-    if (!doctor || doctor.password !== password) { // Simple password check for now
-        // console.log('Invalid doctor credentials'); 
+    if (!doctor || !(await doctor.verifyPassword(password))) {
+        console.log(`❌ Doctor login failed for: ${email}`);
         // In a real app, use flash messages
         return res.redirect("/doctor/login");
     }
 
     req.session.doctor_id = doctor._id;
-    req.session.doctor = doctor;
+    req.session.doctor = { id: doctor._id, name: doctor.name, email: doctor.email };
     
     console.log(`✅ Doctor Login: ${doctor.name}`);
     res.redirect("/doctor/dashboard");
@@ -578,20 +872,52 @@ app.post("/doctor/signup", wrapAsync(async (req, res) => {
         available_time
     });
     await doctor.save();
+    await queueNotification('doctor.welcome', 'Doctor', doctor, { doctor });
 
     // Auto-login after signup
     req.session.doctor_id = doctor._id;
-    req.session.doctor = doctor;
+    req.session.doctor = { id: doctor._id, name: doctor.name, email: doctor.email };
 
     console.log(`✅ New Doctor Registered & Logged In: ${name}`);
     res.redirect("/doctor/dashboard");
 }));
 
 // Doctor Dashboard
-app.get("/doctor/dashboard", requireDoctorLogin, wrapAsync(async (req, res) => {
-    const doctor = await Doctor.findById(req.session.doctor_id).populate('appointments.patientId');
-    // console.log(doctor);
-    res.render("doctor-dashboard", { doctor });
+const DASHBOARD_PAGE_SIZE = 20;
+const PATIENT_FIELDS = 'name email age gender address bloodGroup critical';
+const ANALYSIS_FIELDS = 'symptoms duration conditions severity urgency recommendations createdAt';
+
+app.get("/doctor/dashboard", requireRole('doctor'), wrapAsync(async (req, res) => {
+    const doctor = await Doctor.findById(req.session.doctor_id);
+    if (!doctor) {
+        return res.redirect("/doctor/login");
+    }
+
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    const upcomingQuery = { doctor: doctor._id, date: { $gte: startOfToday } };
+    const pastQuery = { doctor: doctor._id, date: { $lt: startOfToday } };
+    const upcomingPage = getPagination(req.query.page, DASHBOARD_PAGE_SIZE);
+    const pastPage = getPagination(req.query.pastPage, DASHBOARD_PAGE_SIZE);
+
+    // Today and upcoming soonest first, past newest first; each paged separately
+    const [upcoming, past, upcomingTotal, pastTotal] = await Promise.all([
+        Appointment.find(upcomingQuery).sort({ date: 1 }).skip(upcomingPage.skip).limit(upcomingPage.limit).populate('patient', PATIENT_FIELDS).populate('symptomAnalyses', ANALYSIS_FIELDS),
+        Appointment.find(pastQuery).sort({ date: -1 }).skip(pastPage.skip).limit(pastPage.limit).populate('patient', PATIENT_FIELDS).populate('symptomAnalyses', ANALYSIS_FIELDS),
+        Appointment.countDocuments(upcomingQuery),
+        Appointment.countDocuments(pastQuery)
+    ]);
+
+    res.render("doctor-dashboard", {
+        doctor,
+        appointments: [...upcoming, ...past],
+        pagination: {
+            page: upcomingPage.page,
+            totalPages: Math.max(Math.ceil(upcomingTotal / DASHBOARD_PAGE_SIZE), 1),
+            pastPage: pastPage.page,
+            pastTotalPages: Math.max(Math.ceil(pastTotal / DASHBOARD_PAGE_SIZE), 1)
+        }
+    });
 }));
 
 // Doctor Logout
@@ -604,7 +930,7 @@ app.get("/doctor/logout", (req, res) => {
 // ==================== DOCTOR PROFILE & VERIFICATION ====================
 
 // Update Doctor Profile
-app.put('/api/doctor/profile', requireDoctorLogin, wrapAsync(async (req, res) => {
+app.put('/api/doctor/profile', requireRole('doctor'), wrapAsync(async (req, res) => {
     const { name, specialization, degrees, years_experience, medical_college, phone, city, state, available_time } = req.body;
     
     const doctor = await Doctor.findByIdAndUpdate(
@@ -616,179 +942,2025 @@ app.put('/api/doctor/profile', requireDoctorLogin, wrapAsync(async (req, res) =>
     res.json({ success: true, message: 'Profile updated successfully', doctor });
 }));
 
-// Request Verification
-app.post('/api/doctor/request-verification', requireDoctorLogin, wrapAsync(async (req, res) => {
-    const doctor = await Doctor.findByIdAndUpdate(
-        req.session.doctor_id,
-        { verificationRequested: true },
-        { new: true }
-    );
-    
-    console.log(`📩 Verification requested by Dr. ${doctor.name}`);
-    res.json({ success: true, message: 'Verification request submitted' });
-}));
+// Credential documents needed before a doctor can ask for verification
+const VERIFICATION_DOC_KINDS = ['registration', 'degree', 'id'];
+const REQUIRED_VERIFICATION_DOCS = ['degree', 'id'];
+const VERIFICATION_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const MAX_VERIFICATION_DOC_BYTES = 5 * 1024 * 1024;
+
+// Stream a stored credential document back to the browser
+async function sendVerificationDocument(res, doctor, docId) {
+    const document = doctor && doctor.verificationDocuments.id(docId);
+    if (!document) {
+        throw new AppError('Document not found', 404);
+    }
 
-// ==================== SUPER ADMIN ROUTES ====================
+    const buffer = await storage.read(document.storageKey);
+    res.set('Content-Type', document.mimeType);
+    res.set('Content-Disposition', `inline; filename="${(document.originalName || 'document').replace(/"/g, '')}"`);
+    res.send(buffer);
+}
 
-// Super Admin Dashboard
-app.get('/superadmin', wrapAsync(async (req, res) => {
-    const doctors = await Doctor.find({});
-    res.render('superadmin', { doctors });
-}));
+// Upload a credential document (base64 in JSON, like the prescription reader)
+app.post('/api/doctor/verification/documents', requireRole('doctor'), wrapAsync(async (req, res) => {
+    const { kind, fileName, fileBase64 } = req.body;
 
-// Verify Doctor
-app.post('/api/superadmin/verify/:id', wrapAsync(async (req, res) => {
-    const doctor = await Doctor.findByIdAndUpdate(
-        req.params.id,
-        { isVerified: true, verificationRequested: false },
-        { new: true }
-    );
-    
-    console.log(`✅ Doctor verified: ${doctor.name}`);
-    res.json({ success: true, message: 'Doctor verified', doctor });
-}));
+    if (!VERIFICATION_DOC_KINDS.includes(kind)) {
+        throw new AppError(`Document kind must be one of: ${VERIFICATION_DOC_KINDS.join(', ')}`, 400);
+    }
+    if (typeof fileBase64 !== 'string' || !fileBase64) {
+        throw new AppError('File data is required', 400);
+    }
 
-// Reject Doctor
-app.post('/api/superadmin/reject/:id', wrapAsync(async (req, res) => {
-    const doctor = await Doctor.findByIdAndUpdate(
-        req.params.id,
-        { verificationRequested: false },
-        { new: true }
-    );
-    
-    console.log(`❌ Doctor verification rejected: ${doctor.name}`);
-    res.json({ success: true, message: 'Verification rejected', doctor });
-}));
+    const buffer = decodeBase64Upload(fileBase64);
+    if (buffer.length > MAX_VERIFICATION_DOC_BYTES) {
+        throw new AppError('Documents must be 5 MB or smaller', 413);
+    }
+    const fileType = detectFileType(buffer);
+    if (!fileType || !VERIFICATION_MIME_TYPES.includes(fileType.mimeType)) {
+        throw new AppError('Only PDF, JPEG or PNG documents are accepted', 415);
+    }
 
-// ==================== AI FEATURE PAGE ROUTES ====================
+    const doctor = await Doctor.findById(req.session.doctor_id);
+    if (doctor.isVerified || doctor.verificationRequested) {
+        throw new AppError('Documents cannot be changed while verified or under review', 409);
+    }
 
-app.get("/index", requireLogin, (req, res) => {
-    res.render("index");
-});
-app.get("/chatbot", requireLogin, (req, res) => {
-    res.render("chatbot");
-});
+    const storageKey = await storage.save(buffer, {
+        folder: `verification/${doctor._id}`,
+        extension: fileType.extension
+    });
+    doctor.verificationDocuments.push({
+        kind,
+        originalName: String(fileName || `${kind}${fileType.extension}`).slice(0, 200),
+        mimeType: fileType.mimeType,
+        size: buffer.length,
+        storageKey
+    });
+    await doctor.save();
 
-app.get("/symptom-analysis", requireLogin, (req, res) => {
-    res.render("symptom-analysis");
-});
+    const document = doctor.verificationDocuments[doctor.verificationDocuments.length - 1];
+    await recordAudit('doctor', req.session.doctor, 'doctor.document.upload', doctor, `${kind}: ${document.originalName}`);
 
-app.get("/report-summary", requireLogin, (req, res) => {
-    res.render("report-summary");
-});
+    console.log(`📎 Dr. ${doctor.name} uploaded a ${kind} document`);
+    res.status(201).json({ success: true, message: 'Document uploaded', document });
+}));
 
-app.get("/medicine-info", requireLogin, (req, res) => {
-    res.render("medical-info");
-});
+// Remove a credential document before submitting
+app.delete('/api/doctor/verification/documents/:docId', requireRole('doctor'), wrapAsync(async (req, res) => {
+    const doctor = await Doctor.findById(req.session.doctor_id);
+    const document = doctor.verificationDocuments.id(req.params.docId);
+    if (!document) {
+        throw new AppError('Document not found', 404);
+    }
+    if (doctor.isVerified || doctor.verificationRequested) {
+        throw new AppError('Documents cannot be changed while verified or under review', 409);
+    }
 
-app.get("/health-tips", requireLogin, (req, res) => {
-    res.render("health-tips");
-});
+    await storage.remove(document.storageKey);
+    document.deleteOne();
+    await doctor.save();
 
-app.get("/diet-plan", requireLogin, (req, res) => {
-    res.render("diet-plan");
-});
+    res.json({ success: true, message: 'Document removed' });
+}));
 
-// ==================== AI HEALTHCARE ROUTES ====================
+// View one of your own credential documents
+app.get('/api/doctor/verification/documents/:docId', requireRole('doctor'), wrapAsync(async (req, res) => {
+    const doctor = await Doctor.findById(req.session.doctor_id);
+    await sendVerificationDocument(res, doctor, req.params.docId);
+}));
 
-// 1. Health Chatbot
-app.post('/api/chat', requireLogin, wrapAsync(async (req, res) => {
-    const { message, sessionId = 'default' } = req.body;
+// Request Verification
+app.post('/api/doctor/request-verification', requireRole('doctor'), wrapAsync(async (req, res) => {
+    const registrationNumber = (req.body.registrationNumber || '').trim();
+
+    const doctor = await Doctor.findById(req.session.doctor_id);
+    if (doctor.isVerified) {
+        throw new AppError('Your account is already verified', 409);
+    }
+    if (registrationNumber) {
+        doctor.registrationNumber = registrationNumber;
+    }
+    if (!doctor.registrationNumber) {
+        throw new AppError('Your medical registration number is required', 400);
+    }
+    const missing = REQUIRED_VERIFICATION_DOCS.filter(kind =>
+        !doctor.verificationDocuments.some(d => d.kind === kind));
+    if (missing.length > 0) {
+        throw new AppError(`Please upload: ${missing.join(', ')}`, 400);
+    }
+
+    doctor.verificationRequested = true;
+    await doctor.save();
+    await recordAudit('doctor', req.session.doctor, 'doctor.verification.request', doctor, `Registration no. ${doctor.registrationNumber}`);
+
+    console.log(`📩 Verification requested by Dr. ${doctor.name}`);
+    res.json({ success: true, message: 'Verification request submitted', doctor });
+}));
+
+// Update weekly availability and date exceptions
+app.put('/api/doctor/availability', requireRole('doctor'), wrapAsync(async (req, res) => {
+    const availability = normalizeAvailability(req.body);
+
+    const doctor = await Doctor.findByIdAndUpdate(
+        req.session.doctor_id,
+        { availability },
+        { new: true, runValidators: true }
+    );
+
+    console.log(`🗓️ Availability updated by Dr. ${doctor.name}`);
+    res.json({ success: true, message: 'Availability updated', availability: doctor.availability });
+}));
+
+// Free slots for a doctor over a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get('/api/doctors/:id/slots', requireRole('patient'), wrapAsync(async (req, res) => {
+    const from = req.query.from || formatLocalDate(new Date());
+    const to = req.query.to || from;
+
+    if (!DATE_RE.test(from) || !DATE_RE.test(to)) {
+        throw new AppError('from and to must be YYYY-MM-DD', 400);
+    }
+    const days = (new Date(`${to}T00:00`) - new Date(`${from}T00:00`)) / 86400000;
+    if (days < 0 || days >= MAX_SLOT_RANGE_DAYS) {
+        throw new AppError(`Date range must be 1 to ${MAX_SLOT_RANGE_DAYS} days`, 400);
+    }
+
+    const doctor = await Doctor.findById(req.params.id);
+    if (!doctor) {
+        throw new AppError('Doctor not found', 404);
+    }
+
+    const booked = await findLiveBookings(doctor, from, to);
+    res.json({
+        success: true,
+        doctorId: doctor._id,
+        slotMinutes: doctor.availability.slotMinutes,
+        slots: getFreeSlots(doctor, booked, from, to)
+    });
+}));
+
+// ==================== PRESCRIPTIONS ====================
+
+// Route ids are checked up front; a malformed one would fail inside the query as a CastError
+function assertObjectId(id, label) {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new AppError(`Invalid ${label} id`, 400);
+    }
+}
+
+// Create a prescription for one of the doctor's appointments
+app.post('/api/doctor/appointments/:appointmentId/prescriptions', requireRole('doctor'), wrapAsync(async (req, res) => {
+    assertObjectId(req.params.appointmentId, 'appointment');
+    const { diagnosis, notes } = req.body;
+    const medicines = normalizeMedicines(req.body.medicines);
+
+    const appointment = await Appointment.findOne({ _id: req.params.appointmentId, doctor: req.session.doctor_id })
+        .populate('doctor', 'name');
+    if (!appointment) {
+        throw new AppError('Appointment not found', 404);
+    }
+    if (!appointment.patient) {
+        throw new AppError('Appointment has no linked patient account', 400);
+    }
+    if (medicines.length === 0) {
+        throw new AppError('At least one medicine is required', 400);
+    }
+
+    const prescription = new Prescription({
+        doctor: req.session.doctor_id,
+        patient: appointment.patient,
+        appointmentId: appointment._id,
+        diagnosis,
+        medicines,
+        notes
+    });
+    await prescription.save();
+
+    console.log(`📝 Prescription written by Dr. ${appointment.doctor.name} for ${appointment.patientName}`);
+    res.status(201).json({ success: true, message: 'Prescription saved', prescription });
+}));
+
+// List prescriptions written for one appointment
+app.get('/api/doctor/appointments/:appointmentId/prescriptions', requireRole('doctor'), wrapAsync(async (req, res) => {
+    assertObjectId(req.params.appointmentId, 'appointment');
+    const prescriptions = await Prescription.find({
+        doctor: req.session.doctor_id,
+        appointmentId: req.params.appointmentId
+    }).sort({ createdAt: -1 });
+
+    res.json({ success: true, prescriptions });
+}));
+
+// Read a single prescription
+app.get('/api/doctor/prescriptions/:id', requireRole('doctor'), wrapAsync(async (req, res) => {
+    assertObjectId(req.params.id, 'prescription');
+    const prescription = await Prescription.findOne({ _id: req.params.id, doctor: req.session.doctor_id })
+        .populate('patient', 'name email age gender');
+    if (!prescription) {
+        throw new AppError('Prescription not found', 404);
+    }
+
+    res.json({ success: true, prescription });
+}));
+
+// Update a prescription
+app.put('/api/doctor/prescriptions/:id', requireRole('doctor'), wrapAsync(async (req, res) => {
+    assertObjectId(req.params.id, 'prescription');
+    const { diagnosis, notes } = req.body;
+    const medicines = normalizeMedicines(req.body.medicines);
+
+    if (medicines.length === 0) {
+        throw new AppError('At least one medicine is required', 400);
+    }
+
+    const prescription = await Prescription.findOneAndUpdate(
+        { _id: req.params.id, doctor: req.session.doctor_id },
+        { diagnosis, notes, medicines },
+        { new: true, runValidators: true }
+    );
+    if (!prescription) {
+        throw new AppError('Prescription not found', 404);
+    }
+
+    console.log(`📝 Prescription updated: ${prescription._id}`);
+    res.json({ success: true, message: 'Prescription updated', prescription });
+}));
+
+// Patient: list own prescriptions
+app.get('/api/user/prescriptions', requireRole('patient'), wrapAsync(async (req, res) => {
+    const prescriptions = await Prescription.find({ patient: req.session.user_id })
+        .populate('doctor', 'name specialization')
+        .sort({ createdAt: -1 });
+
+    res.json({ success: true, prescriptions });
+}));
+
+// ==================== MEDICATION LIST ====================
+const MEDICATION_FIELDS = ['name', 'strength', 'frequency', 'duration', 'instructions'];
+const MAX_MEDICATIONS = 50;
+
+// Cleaned copy of one entry from the client; throws AppError when unusable
+function readMedicationInput(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new AppError('Each medication must be an object', 400);
+    }
+    const medication = {};
+    MEDICATION_FIELDS.forEach(field => {
+        if (input[field] !== undefined) {
+            medication[field] = String(input[field]).trim().slice(0, 200);
+        }
+    });
+    if (!partial || medication.name !== undefined) {
+        if (!medication.name) {
+            throw new AppError('Each medication needs a name', 400);
+        }
+    }
+    if (input.active !== undefined) {
+        medication.active = Boolean(input.active);
+    }
+    if (input.reminderTimes !== undefined) {
+        try {
+            medication.reminderTimes = parseReminderTimes(input.reminderTimes);
+        } catch (err) {
+            throw new AppError(err.message, 400);
+        }
+    }
+    return medication;
+}
+
+app.get('/api/user/medications', requireRole('patient'), wrapAsync(async (req, res) => {
+    const user = await User.findById(req.session.user_id).select('medications');
+    res.json({ success: true, medications: user.medications });
+}));
+
+// Add one or more entries, e.g. the reviewed results of /api/read-prescription
+app.post('/api/user/medications', requireRole('patient'), wrapAsync(async (req, res) => {
+    const entries = Array.isArray(req.body.medications) ? req.body.medications : [req.body];
+    const additions = entries.map(entry => {
+        const medication = readMedicationInput(entry);
+        if (entry.source === 'prescription-scan') {
+            medication.source = 'prescription-scan';
+            const confidence = Number(entry.confidence);
+            if (confidence >= 0 && confidence <= 1) {
+                medication.confidence = confidence;
+            }
+        }
+        return medication;
+    });
+
+    const user = await User.findById(req.session.user_id).select('medications');
+    if (user.medications.length + additions.length > MAX_MEDICATIONS) {
+        throw new AppError(`Your medication list can hold at most ${MAX_MEDICATIONS} entries`, 400);
+    }
+    user.medications.push(...additions);
+    await user.save();
+
+    console.log(`💊 ${additions.length} medication(s) added for user ${user._id}`);
+    res.status(201).json({ success: true, medications: user.medications });
+}));
+
+app.patch('/api/user/medications/:medId', requireRole('patient'), wrapAsync(async (req, res) => {
+    const user = await User.findById(req.session.user_id).select('medications');
+    const medication = user.medications.id(req.params.medId);
+    if (!medication) {
+        throw new AppError('Medication not found', 404);
+    }
+
+    medication.set(readMedicationInput(req.body, { partial: true }));
+    await user.save();
+
+    res.json({ success: true, medication });
+}));
+
+app.delete('/api/user/medications/:medId', requireRole('patient'), wrapAsync(async (req, res) => {
+    const user = await User.findById(req.session.user_id).select('medications');
+    const medication = user.medications.id(req.params.medId);
+    if (!medication) {
+        throw new AppError('Medication not found', 404);
+    }
+
+    medication.deleteOne();
+    await user.save();
+
+    res.json({ success: true, message: 'Medication removed' });
+}));
+
+// ==================== VITALS ====================
+// Home readings entered by the patient or imported from CSV; flagged by the rules in config/vitals.json
+const vitals = loadVitalTypes();
+const MAX_VITALS_DAYS = 730;
+const VITAL_ALERT_DAYS = 30;
+const MAX_VITAL_CSV_BYTES = 1024 * 1024;
+const MAX_VITAL_IMPORT_ROWS = 5000;
+console.log(`❤️ Loaded ${vitals.types.length} vital types`);
+
+function readVitalInput(input) {
+    try {
+        return readVitalEntry(vitals, input);
+    } catch (err) {
+        throw new AppError(err.message, 400);
+    }
+}
+
+// Latest reading of each type and the out-of-range readings of the last VITAL_ALERT_DAYS, newest first
+async function vitalsSummary(userId) {
+    const since = new Date(Date.now() - VITAL_ALERT_DAYS * 24 * 60 * 60 * 1000);
+    const [latest, flagged] = await Promise.all([
+        Promise.all(vitals.types.map(type =>
+            Vital.findOne({ user: userId, type: type.id }).sort({ recordedAt: -1 }))),
+        Vital.find({ user: userId, recordedAt: { $gte: since }, flag: { $nin: [null, 'normal'] } })
+            .sort({ recordedAt: -1 })
+            .limit(20)
+    ]);
+
+    return {
+        latest: latest.filter(Boolean),
+        alerts: flagged.map(entry => ({ entry, ...vitalAlert(vitals, entry) }))
+    };
+}
+
+// The profile weight follows the newest weight reading, so BMI and diet plans stay current
+async function syncProfileWeight(userId) {
+    const latest = await Vital.findOne({ user: userId, type: 'weight' }).sort({ recordedAt: -1 });
+    if (latest) {
+        await User.updateOne({ _id: userId }, { weight: latest.values[0].value });
+    }
+}
+
+app.get('/api/vitals/types', requireRole('patient', 'doctor'), (req, res) => {
+    res.json({ success: true, types: describeVitalTypes(vitals) });
+});
+
+// Readings newest first; `type` narrows to one type, `days` (default 90) how far back
+app.get('/api/user/vitals', requireRole('patient'), wrapAsync(async (req, res) => {
+    const days = Math.min(Number(req.query.days) || 90, MAX_VITALS_DAYS);
+    const query = { user: req.session.user_id, recordedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } };
+    if (req.query.type) {
+        query.type = req.query.type;
+    }
+
+    const entries = await Vital.find(query).sort({ recordedAt: -1 }).limit(2000);
+    res.json({ success: true, entries });
+}));
+
+app.get('/api/user/vitals/summary', requireRole('patient'), wrapAsync(async (req, res) => {
+    res.json({ success: true, ...(await vitalsSummary(req.session.user_id)) });
+}));
+
+app.post('/api/user/vitals', requireRole('patient'), wrapAsync(async (req, res) => {
+    const entry = await Vital.create({ user: req.session.user_id, ...readVitalInput(req.body) });
+    if (entry.type === 'weight') {
+        await syncProfileWeight(req.session.user_id);
+    }
+
+    res.status(201).json({ success: true, entry, alert: vitalAlert(vitals, entry) });
+}));
+
+app.delete('/api/user/vitals/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const entry = await Vital.findOneAndDelete({ _id: req.params.id, user: req.session.user_id });
+    if (!entry) {
+        throw new AppError('Reading not found', 404);
+    }
+
+    res.json({ success: true, message: 'Reading deleted' });
+}));
+
+// Every reading as CSV, oldest first; the same format is accepted by the import
+app.get('/api/user/vitals/export', requireRole('patient'), wrapAsync(async (req, res) => {
+    const entries = await Vital.find({ user: req.session.user_id }).sort({ recordedAt: 1 });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="vitals-${formatLocalDate(new Date())}.csv"`);
+    res.send(vitalsToCsv(entries));
+}));
+
+// `csv` is the file's text. Valid rows are imported and the rest reported by line; a reading of
+// the same type at the same time as an existing one is taken to be a re-import and skipped.
+app.post('/api/user/vitals/import', requireRole('patient'), wrapAsync(async (req, res) => {
+    const csv = typeof req.body.csv === 'string' ? req.body.csv : '';
+    if (!csv.trim()) {
+        throw new AppError('CSV text is required', 400);
+    }
+    if (Buffer.byteLength(csv) > MAX_VITAL_CSV_BYTES) {
+        throw new AppError('The CSV file is larger than 1 MB', 413);
+    }
+
+    let rows;
+    try {
+        rows = readVitalsCsv(csv);
+    } catch (err) {
+        throw new AppError(err.message, 400);
+    }
+    if (rows.length > MAX_VITAL_IMPORT_ROWS) {
+        throw new AppError(`Import at most ${MAX_VITAL_IMPORT_ROWS} readings at a time`, 400);
+    }
+
+    const errors = [];
+    const entries = [];
+    rows.forEach(({ line, input }) => {
+        if (!input.recordedAt) {
+            errors.push({ line, error: 'recorded_at is required' });
+            return;
+        }
+        try {
+            entries.push(readVitalEntry(vitals, input));
+        } catch (err) {
+            errors.push({ line, error: err.message });
+        }
+    });
+
+    const existing = await Vital.find({
+        user: req.session.user_id,
+        recordedAt: { $in: entries.map(e => e.recordedAt) }
+    }).select('type recordedAt');
+    const seen = new Set(existing.map(e => `${e.type}|${e.recordedAt.getTime()}`));
+    const fresh = entries.filter(entry => {
+        const key = `${entry.type}|${entry.recordedAt.getTime()}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    if (fresh.length > 0) {
+        await Vital.insertMany(fresh.map(entry => ({ user: req.session.user_id, ...entry, source: 'csv-import' })));
+    }
+    if (fresh.some(entry => entry.type === 'weight')) {
+        await syncProfileWeight(req.session.user_id);
+    }
+
+    console.log(`❤️ Imported ${fresh.length} vital reading(s) for user ${req.session.user_id}`);
+    res.json({
+        success: true,
+        imported: fresh.length,
+        duplicates: entries.length - fresh.length,
+        outOfRange: fresh.filter(entry => entry.flag && entry.flag !== 'normal').length,
+        errors: errors.slice(0, 50),
+        errorCount: errors.length
+    });
+}));
+
+// Recent readings of the patient on one of the doctor's appointments
+app.get('/api/doctor/appointments/:appointmentId/vitals', requireRole('doctor'), wrapAsync(async (req, res) => {
+    const appointment = await Appointment.findOne({ _id: req.params.appointmentId, doctor: req.session.doctor_id });
+    if (!appointment) {
+        throw new AppError('Appointment not found', 404);
+    }
+    if (!appointment.patient) {
+        throw new AppError('Appointment has no linked patient account', 400);
+    }
+
+    const since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    const [summary, entries] = await Promise.all([
+        vitalsSummary(appointment.patient),
+        Vital.find({ user: appointment.patient, recordedAt: { $gte: since } }).sort({ recordedAt: -1 }).limit(200)
+    ]);
+
+    res.json({ success: true, types: describeVitalTypes(vitals), ...summary, entries });
+}));
+
+// ==================== NOTIFICATIONS ====================
+// Transactional emails (welcome, bookings, status changes, verification decisions) go through
+// the notifications outbox: a request only renders and stores the message, the outbox worker
+// sends it right after, and a per-minute job retries failures with a growing delay. Rows are
+// claimed one at a time, so several app instances can share the outbox.
+// Without SMTP_URL the mailer runs in dev mode and writes every email to dev-mail/.
+const mailer = createMailer();
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 8080}`;
+const NOTIFICATION_LOCK_MS = 2 * 60 * 1000;
+const NOTIFICATION_MAX_ATTEMPTS = 5;
+const NOTIFICATION_RETRY_MS = 2 * 60 * 1000;
+const MAX_NOTIFICATIONS_PER_RUN = 100;
+let outboxDraining = false;
+
+// Renders and stores one email. Never throws: a notification problem must not fail the request
+async function queueNotification(template, recipientType, recipient, data, appointment) {
+    try {
+        const message = renderNotification(template, { ...data, appUrl: APP_URL });
+        await Notification.create({
+            template,
+            recipientType,
+            recipient: recipient._id,
+            appointment,
+            to: recipient.email,
+            ...message
+        });
+        drainOutbox();
+    } catch (err) {
+        console.error(`❌ Could not queue ${template} email for ${recipient.email}:`, err.message);
+    }
+}
+
+// Emails the patient and the doctor about a booking or a change to it; `actor` is the role that made it
+async function notifyAppointment(appointment, template, actor, extra = {}) {
+    try {
+        const [patient, doctor] = await Promise.all([
+            appointment.patient ? User.findById(appointment.patient).select('name email') : null,
+            Doctor.findById(appointment.doctor).select('name email specialization')
+        ]);
+        const data = { ...extra, appointment, actor, doctor };
+
+        if (patient) {
+            await queueNotification(template, 'User', patient, { ...data, role: 'patient', patient }, appointment._id);
+        }
+        if (doctor) {
+            // The booking form may be for someone other than the account holder
+            const bookedFor = { name: appointment.patientName || patient?.name || 'Your patient' };
+            await queueNotification(template, 'Doctor', doctor, { ...data, role: 'doctor', patient: bookedFor }, appointment._id);
+        }
+    } catch (err) {
+        console.error(`❌ Could not queue ${template} emails for appointment ${appointment._id}:`, err.message);
+    }
+}
+
+// Atomically takes the next email that is ready, including ones left locked by a crashed instance
+function claimNextNotification(now) {
+    return Notification.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', sendAfter: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lte: now } }
+            ]
+        },
+        {
+            $set: { status: 'sending', lockedUntil: new Date(now.getTime() + NOTIFICATION_LOCK_MS) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { sendAfter: 1 }, new: true }
+    );
+}
+
+async function deliverNotification(notification) {
+    try {
+        await mailer.send({ to: notification.to, subject: notification.subject, text: notification.text });
+        await Notification.updateOne(
+            { _id: notification._id },
+            { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedUntil: 1, lastError: 1 } }
+        );
+        console.log(`📧 Sent ${notification.template} email to ${notification.to}`);
+    } catch (err) {
+        const failed = notification.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+        await Notification.updateOne(
+            { _id: notification._id },
+            {
+                $set: {
+                    status: failed ? 'failed' : 'pending',
+                    sendAfter: new Date(Date.now() + notification.attempts * NOTIFICATION_RETRY_MS),
+                    lastError: err.message
+                },
+                $unset: { lockedUntil: 1 }
+            }
+        );
+        console.error(`❌ ${notification.template} email to ${notification.to} failed (attempt ${notification.attempts}): ${err.message}`);
+    }
+}
+
+// Sends everything that is due. Runs after each queued email and once a minute for retries
+async function drainOutbox() {
+    if (outboxDraining || mongoose.connection.readyState !== 1) return;
+    outboxDraining = true;
+    try {
+        for (let i = 0; i < MAX_NOTIFICATIONS_PER_RUN; i++) {
+            const notification = await claimNextNotification(new Date());
+            if (!notification) break;
+            await deliverNotification(notification);
+        }
+    } catch (err) {
+        console.error('❌ Notification outbox run failed:', err.message);
+    } finally {
+        outboxDraining = false;
+    }
+}
+
+function startNotificationOutbox() {
+    cron.schedule('* * * * *', drainOutbox, { name: 'notification-outbox', noOverlap: true });
+    drainOutbox();
+    console.log(`📧 Notification outbox started (mail via ${mailer.target})`);
+}
+
+// ==================== REMINDERS ====================
+// Every instance runs the same per-minute job: it creates the reminder rows that fell due
+// (unique keys make that idempotent) and then claims pending rows one at a time to send them.
+// Nothing lives in memory, so a restart just picks up from the database; reminders missed
+// while no instance was running are still sent if they are less than REMINDER_CATCH_UP_MS late.
+// Set REMINDERS_ENABLED=false to keep an instance out of it.
+const REMINDER_CATCH_UP_MS = 30 * 60 * 1000;
+const REMINDER_LOCK_MS = 2 * 60 * 1000;
+const REMINDER_MAX_ATTEMPTS = 3;
+const REMINDER_RETRY_MS = 5 * 60 * 1000;
+// A dose reminder held this long (quiet hours, retries) is no longer useful
+const DOSE_REMINDER_STALE_MS = 3 * 60 * 60 * 1000;
+const MAX_REMINDERS_PER_TICK = 100;
+const REMINDER_SETTINGS_FIELDS = ['channel', 'medication', 'appointments', 'quietHours'];
+
+async function queueDueReminders(now) {
+    const since = new Date(now.getTime() - REMINDER_CATCH_UP_MS);
+    const rows = [];
+
+    const longestOffset = Math.max(...APPOINTMENT_REMINDER_OFFSETS.map(o => o.ms));
+    const appointments = await Appointment.find({
+        status: { $in: ['Pending', 'Confirmed'] },
+        patient: { $exists: true },
+        date: { $gt: now, $lte: new Date(now.getTime() + longestOffset) }
+    }).select('patient date');
+    appointments.forEach(appointment => {
+        APPOINTMENT_REMINDER_OFFSETS.forEach(offset => {
+            const dueAt = new Date(appointment.date.getTime() - offset.ms);
+            if (dueAt <= now && dueAt > since) {
+                rows.push({
+                    key: `appointment:${appointment._id}:${offset.label}:${appointment.date.toISOString()}`,
+                    kind: 'appointment',
+                    user: appointment.patient,
+                    appointment: appointment._id,
+                    appointmentDate: appointment.date,
+                    offset: offset.label,
+                    dueAt
+                });
+            }
+        });
+    });
+
+    const users = await User.find({
+        'reminderSettings.channel': { $ne: 'none' },
+        'reminderSettings.medication': { $ne: false },
+        medications: { $elemMatch: { active: true, 'reminderTimes.0': { $exists: true } } }
+    }).select('medications');
+    users.forEach(user => {
+        user.medications.forEach(medication => {
+            doseTimesDue(medication, since, now).forEach(dueAt => {
+                rows.push({
+                    key: `dose:${medication._id}:${dueAt.toISOString()}`,
+                    kind: 'dose',
+                    user: user._id,
+                    medication: medication._id,
+                    dueAt
+                });
+            });
+        });
+    });
+
+    await Promise.all(rows.map(row =>
+        Reminder.updateOne(
+            { key: row.key },
+            { $setOnInsert: { ...row, sendAfter: row.dueAt } },
+            { upsert: true }
+        ).catch(err => {
+            // Another instance inserted it first
+            if (err.code !== 11000) throw err;
+        })
+    ));
+}
+
+// Atomically takes the next reminder that is ready, including ones left locked by a crashed instance
+function claimNextReminder(now) {
+    return Reminder.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', sendAfter: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lte: now } }
+            ]
+        },
+        {
+            $set: { status: 'sending', lockedUntil: new Date(now.getTime() + REMINDER_LOCK_MS) },
+            $inc: { attempts: 1 }
+        },
+        { sort: { sendAfter: 1 }, new: true }
+    );
+}
+
+// The message to send now, or { skip: reason } when the reminder no longer applies
+async function buildReminderMessage(reminder, user, now) {
+    if (reminder.kind === 'dose') {
+        const medication = user.medications.id(reminder.medication);
+        if (!medication || !medication.active) return { skip: 'medication removed or stopped' };
+        if (now - reminder.dueAt > DOSE_REMINDER_STALE_MS) return { skip: 'too late to be useful' };
+        return doseReminderMessage(user, medication, reminder.dueAt, APP_URL);
+    }
+
+    const appointment = await Appointment.findById(reminder.appointment).populate('doctor', 'name specialization');
+    if (!appointment || !['Pending', 'Confirmed'].includes(appointment.status)) return { skip: 'appointment no longer active' };
+    if (appointment.date.getTime() !== reminder.appointmentDate.getTime()) return { skip: 'appointment rescheduled' };
+    if (appointment.date <= now) return { skip: 'appointment already started' };
+    const offset = APPOINTMENT_REMINDER_OFFSETS.find(o => o.label === reminder.offset);
+    return appointmentReminderMessage(user, appointment, offset, APP_URL);
+}
+
+async function deliverReminder(reminder, now) {
+    const finish = (status, note) => Reminder.updateOne(
+        { _id: reminder._id },
+        { $set: { status, note }, $unset: { lockedUntil: 1 } }
+    );
+
+    const user = await User.findById(reminder.user).select('name email medications reminderSettings');
+    if (!user) return finish('skipped', 'user not found');
+    const settings = user.reminderSettings || {};
+    const wanted = reminder.kind === 'dose' ? settings.medication !== false : settings.appointments !== false;
+    if (settings.channel === 'none' || !wanted) return finish('skipped', 'turned off by the patient');
+
+    // Held, not dropped; does not count as a delivery attempt
+    if (inQuietHours(now, settings.quietHours)) {
+        return Reminder.updateOne(
+            { _id: reminder._id },
+            {
+                $set: { status: 'pending', sendAfter: quietHoursEnd(now, settings.quietHours), note: 'held for quiet hours' },
+                $inc: { attempts: -1 },
+                $unset: { lockedUntil: 1 }
+            }
+        );
+    }
+
+    const message = await buildReminderMessage(reminder, user, now);
+    if (message.skip) return finish('skipped', message.skip);
+
+    try {
+        await mailer.send({ to: user.email, ...message });
+        await Reminder.updateOne(
+            { _id: reminder._id },
+            { $set: { status: 'sent', channel: 'email', sentAt: new Date() }, $unset: { lockedUntil: 1, note: 1 } }
+        );
+        console.log(`🔔 Sent ${reminder.kind} reminder to ${user.email}`);
+    } catch (err) {
+        const failed = reminder.attempts >= REMINDER_MAX_ATTEMPTS;
+        await Reminder.updateOne(
+            { _id: reminder._id },
+            {
+                $set: {
+                    status: failed ? 'failed' : 'pending',
+                    sendAfter: new Date(now.getTime() + reminder.attempts * REMINDER_RETRY_MS),
+                    note: err.message
+                },
+                $unset: { lockedUntil: 1 }
+            }
+        );
+        console.error(`❌ ${reminder.kind} reminder to ${user.email} failed (attempt ${reminder.attempts}): ${err.message}`);
+    }
+}
+
+async function runReminderTick() {
+    if (mongoose.connection.readyState !== 1) return;
+    const now = new Date();
+    await queueDueReminders(now);
+
+    for (let i = 0; i < MAX_REMINDERS_PER_TICK; i++) {
+        const reminder = await claimNextReminder(now);
+        if (!reminder) break;
+        await deliverReminder(reminder, now);
+    }
+}
+
+function startReminderScheduler() {
+    if (process.env.REMINDERS_ENABLED === 'false') {
+        console.log('🔕 Reminder scheduler disabled on this instance');
+        return;
+    }
+    cron.schedule('* * * * *', () => {
+        runReminderTick().catch(err => console.error('❌ Reminder run failed:', err.message));
+    }, { name: 'reminders', noOverlap: true });
+    console.log(`🔔 Reminder scheduler started (mail via ${mailer.target})`);
+}
+
+app.get('/api/user/reminder-settings', requireRole('patient'), wrapAsync(async (req, res) => {
+    const user = await User.findById(req.session.user_id).select('reminderSettings');
+    res.json({ success: true, settings: user.reminderSettings });
+}));
+
+app.put('/api/user/reminder-settings', requireRole('patient'), wrapAsync(async (req, res) => {
+    const update = {};
+    REMINDER_SETTINGS_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    if (update.channel !== undefined && !['email', 'none'].includes(update.channel)) {
+        throw new AppError('Channel must be email or none', 400);
+    }
+    ['medication', 'appointments'].forEach(field => {
+        if (update[field] !== undefined) update[field] = Boolean(update[field]);
+    });
+    if (update.quietHours !== undefined) {
+        const { start = '', end = '' } = update.quietHours || {};
+        if ((start || end) && (!TIME_RE.test(start) || !TIME_RE.test(end))) {
+            throw new AppError('Quiet hours need a start and end time in HH:MM, or neither', 400);
+        }
+        update.quietHours = { start, end };
+    }
+
+    const user = await User.findById(req.session.user_id).select('reminderSettings');
+    Object.entries(update).forEach(([field, value]) => user.set(`reminderSettings.${field}`, value));
+    await user.save();
+
+    res.json({ success: true, settings: user.reminderSettings });
+}));
+
+// Sends one email straight away so the patient can check delivery
+app.post('/api/user/reminder-settings/test', requireRole('patient'), wrapAsync(async (req, res) => {
+    const user = await User.findById(req.session.user_id).select('name email');
+    try {
+        await mailer.send({
+            to: user.email,
+            subject: '🔔 DocOnCall test reminder',
+            text: `Hi ${user.name},\n\nThis is a test. Medication and appointment reminders will arrive at this address.\n\n${APP_URL}/about`
+        });
+    } catch (err) {
+        console.error('❌ Test reminder failed:', err.message);
+        throw new AppError('Could not send the test email. Please try again later.', 502);
+    }
+
+    res.json({ success: true, message: `Test email sent to ${user.email}` });
+}));
+
+// ==================== APPOINTMENT LIFECYCLE ====================
+
+// Doctor: confirm / complete / cancel / reschedule one of their appointments
+app.post('/api/doctor/appointments/:appointmentId/status', requireRole('doctor'), wrapAsync(async (req, res) => {
+    const { action } = req.body;
+
+    const appointment = await Appointment.findOne({ _id: req.params.appointmentId, doctor: req.session.doctor_id });
+    if (!appointment) {
+        throw new AppError('Appointment not found', 404);
+    }
+    const doctor = await Doctor.findById(req.session.doctor_id);
+
+    if (action === 'reschedule') {
+        await assertSlotBookable(doctor, req.body.date, req.body.time, appointment._id);
+    }
+    const previousDate = appointment.date;
+    applyAppointmentAction(appointment, action, 'doctor', req.body);
+    await saveAppointment(appointment);
+    await notifyAppointment(appointment, APPOINTMENT_ACTION_TEMPLATES[action], 'doctor', { previousDate });
+
+    console.log(`📅 Dr. ${doctor.name}: ${action} appointment ${appointment._id} → ${appointment.status}`);
+    res.json({ success: true, message: `Appointment ${appointment.status.toLowerCase()}`, appointment });
+}));
+
+// Patient: cancel / reschedule one of their own appointments
+app.post('/api/appointments/:appointmentId/status', requireRole('patient'), wrapAsync(async (req, res) => {
+    const { action } = req.body;
+
+    const appointment = await Appointment.findOne({ _id: req.params.appointmentId, patient: req.session.user_id });
+    if (!appointment) {
+        throw new AppError('Appointment not found', 404);
+    }
+
+    if (action === 'reschedule') {
+        const doctor = await Doctor.findById(appointment.doctor);
+        await assertSlotBookable(doctor, req.body.date, req.body.time, appointment._id);
+    }
+    const previousDate = appointment.date;
+    applyAppointmentAction(appointment, action, 'patient', req.body);
+    await saveAppointment(appointment);
+    await notifyAppointment(appointment, APPOINTMENT_ACTION_TEMPLATES[action], 'patient', { previousDate });
+
+    console.log(`📅 Patient ${req.session.user?.name}: ${action} appointment ${appointment._id} → ${appointment.status}`);
+    res.json({ success: true, message: `Appointment ${appointment.status.toLowerCase()}`, appointment });
+}));
+
+// Patient: My appointments page
+const MY_APPOINTMENTS_PAGE_SIZE = 10;
+
+app.get('/appointments', requireRole('patient'), wrapAsync(async (req, res) => {
+    const { page, limit, skip } = getPagination(req.query.page, MY_APPOINTMENTS_PAGE_SIZE);
+    const query = { patient: req.session.user_id };
+
+    const [appointments, total] = await Promise.all([
+        Appointment.find(query)
+            .sort({ date: -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate('doctor', 'name specialization'),
+        Appointment.countDocuments(query)
+    ]);
+
+    res.render('my-appointments', {
+        appointments,
+        page,
+        totalPages: Math.max(Math.ceil(total / limit), 1)
+    });
+}));
+
+// ==================== MESSAGES ====================
+// Doctor-patient messaging. Every appointment with a linked patient account is a thread between
+// that patient and the doctor, so only people who share an appointment can write to each other.
+// New messages and read receipts are pushed to open pages over Server-Sent Events from an
+// in-process bus; a stream only hears about messages posted to the same app instance, and a page
+// that reconnects catches up by refetching the thread (`?after=`). The recipient gets an email for
+// the first unread message in a thread when they have no stream open here.
+const messageEvents = new EventEmitter();
+messageEvents.setMaxListeners(0);
+const MESSAGE_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_MESSAGE_ATTACHMENTS = 3;
+const MAX_MESSAGE_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_THREAD_MESSAGES = 200;
+const MESSAGE_HEARTBEAT_MS = 25 * 1000;
+
+const otherRole = (role) => (role === 'doctor' ? 'patient' : 'doctor');
+const messageChannel = (role, id) => `${role}:${id}`;
+
+// The appointment behind a message thread or a call, if the signed-in `role` is part of it
+async function findSharedAppointment(req, role) {
+    const appointment = await Appointment.findOne({
+        _id: req.params.appointmentId,
+        [role]: req.session[ROLES[role].sessionKey]
+    });
+    if (!appointment) {
+        throw new AppError('Appointment not found', 404);
+    }
+    if (!appointment.patient) {
+        throw new AppError('Appointment has no linked patient account', 400);
+    }
+    return appointment;
+}
+
+// What the browser gets: attachments are addressed by index, storage keys stay on the server
+function messageView(message) {
+    return {
+        _id: message._id,
+        appointment: message.appointment,
+        senderRole: message.senderRole,
+        body: message.body,
+        attachments: message.attachments.map((a, index) => ({
+            index,
+            originalName: a.originalName,
+            mimeType: a.mimeType,
+            size: a.size
+        })),
+        readAt: message.readAt || null,
+        createdAt: message.createdAt
+    };
+}
+
+// Both sides hear about everything in the thread, so a second tab of the sender stays in sync too
+function publishMessageEvent(appointment, event, data) {
+    messageEvents.emit(messageChannel('patient', appointment.patient), event, data);
+    messageEvents.emit(messageChannel('doctor', appointment.doctor), event, data);
+}
+
+// Decoded and checked before anything is stored, so a bad file rejects the whole message
+function readMessageAttachments(files) {
+    if (files.length > MAX_MESSAGE_ATTACHMENTS) {
+        throw new AppError(`Attach at most ${MAX_MESSAGE_ATTACHMENTS} files to a message`, 400);
+    }
+    return files.map((file, i) => {
+        const name = (file && file.fileName) || `file ${i + 1}`;
+        if (!file || typeof file.fileBase64 !== 'string' || !file.fileBase64) {
+            throw new AppError(`${name} has no data`, 400);
+        }
+        const buffer = decodeBase64Upload(file.fileBase64);
+        if (buffer.length > MAX_MESSAGE_ATTACHMENT_BYTES) {
+            throw new AppError(`${name} is larger than 5 MB`, 413);
+        }
+        const fileType = detectFileType(buffer);
+        if (!fileType || !MESSAGE_MIME_TYPES.includes(fileType.mimeType)) {
+            throw new AppError(`${name} is not a PDF, JPEG, PNG or WebP file`, 415);
+        }
+        return { buffer, fileType, originalName: String(name).slice(0, 200) };
+    });
+}
+
+async function notifyNewMessage(appointment, message) {
+    const recipientRole = otherRole(message.senderRole);
+    const recipientId = appointment[recipientRole];
+    if (messageEvents.listenerCount(messageChannel(recipientRole, recipientId)) > 0) return;
+
+    const unread = await Message.countDocuments({ appointment: appointment._id, senderRole: message.senderRole, readAt: null });
+    if (unread > 1) return;
+
+    const [patient, doctor] = await Promise.all([
+        User.findById(appointment.patient).select('name email'),
+        Doctor.findById(appointment.doctor).select('name email')
+    ]);
+    if (!patient || !doctor) return;
+    const data = { appointment, doctor, role: recipientRole };
+    if (recipientRole === 'doctor') {
+        await queueNotification('message.received', 'Doctor', doctor,
+            { ...data, patient: { name: appointment.patientName || patient.name } }, appointment._id);
+    } else {
+        await queueNotification('message.received', 'User', patient, { ...data, patient }, appointment._id);
+    }
+}
+
+// Unread messages per thread for one side: { total, threads: { appointmentId: count } }
+async function unreadMessageCounts(role, id) {
+    const rows = await Message.aggregate([
+        { $match: { [role]: new mongoose.Types.ObjectId(String(id)), senderRole: otherRole(role), readAt: null } },
+        { $group: { _id: '$appointment', count: { $sum: 1 } } }
+    ]);
+    return {
+        total: rows.reduce((sum, row) => sum + row.count, 0),
+        threads: Object.fromEntries(rows.map(row => [String(row._id), row.count]))
+    };
+}
+
+// The newest messages of a thread, oldest first, or only those after `after` when catching up
+const listMessages = (role) => wrapAsync(async (req, res) => {
+    const appointment = await findSharedAppointment(req, role);
+    const query = { appointment: appointment._id };
+    if (req.query.after) {
+        const after = new Date(req.query.after);
+        if (Number.isNaN(after.getTime())) {
+            throw new AppError('after must be a date', 400);
+        }
+        query.createdAt = { $gt: after };
+    }
+
+    const messages = await Message.find(query).sort({ createdAt: -1 }).limit(MAX_THREAD_MESSAGES);
+    res.json({ success: true, appointment: { _id: appointment._id, date: appointment.date, status: appointment.status }, messages: messages.reverse().map(messageView) });
+});
+
+// `{ body, attachments: [{ fileName, fileBase64 }] }`; either part may be empty, not both
+const sendMessage = (role) => wrapAsync(async (req, res) => {
+    const appointment = await findSharedAppointment(req, role);
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    const files = Array.isArray(req.body.attachments) ? req.body.attachments : [];
+    if (!body && files.length === 0) {
+        throw new AppError('Write a message or attach a file', 400);
+    }
+    if (body.length > MAX_MESSAGE_LENGTH) {
+        throw new AppError(`Messages must be ${MAX_MESSAGE_LENGTH} characters or fewer`, 400);
+    }
+
+    const uploads = readMessageAttachments(files);
+    const attachments = [];
+    for (const upload of uploads) {
+        const storageKey = await storage.save(upload.buffer, {
+            folder: `messages/${appointment._id}`,
+            extension: upload.fileType.extension
+        });
+        attachments.push({
+            originalName: upload.originalName,
+            mimeType: upload.fileType.mimeType,
+            size: upload.buffer.length,
+            storageKey
+        });
+    }
+
+    const message = await Message.create({
+        appointment: appointment._id,
+        patient: appointment.patient,
+        doctor: appointment.doctor,
+        senderRole: role,
+        body,
+        attachments
+    });
+    const view = messageView(message);
+    publishMessageEvent(appointment, 'message', view);
+    await notifyNewMessage(appointment, message);
+
+    console.log(`💬 ${role} message on appointment ${appointment._id}${attachments.length > 0 ? ` (${attachments.length} attachment(s))` : ''}`);
+    res.status(201).json({ success: true, message: 'Message sent', sent: view });
+});
+
+// Marks everything the other side wrote as read and tells them
+const markThreadRead = (role) => wrapAsync(async (req, res) => {
+    const appointment = await findSharedAppointment(req, role);
+    const readAt = new Date();
+    const result = await Message.updateMany(
+        { appointment: appointment._id, senderRole: otherRole(role), readAt: null },
+        { $set: { readAt } }
+    );
+    if (result.modifiedCount > 0) {
+        publishMessageEvent(appointment, 'read', { appointment: appointment._id, readerRole: role, readAt });
+    }
+    res.json({ success: true, marked: result.modifiedCount });
+});
+
+const sendMessageAttachment = (role) => wrapAsync(async (req, res) => {
+    const appointment = await findSharedAppointment(req, role);
+    const message = await Message.findOne({ _id: req.params.messageId, appointment: appointment._id });
+    const attachment = message && message.attachments[Number(req.params.index)];
+    if (!attachment) {
+        throw new AppError('Attachment not found', 404);
+    }
+
+    const buffer = await storage.read(attachment.storageKey);
+    res.set('Content-Type', attachment.mimeType);
+    res.set('Content-Disposition', `inline; filename="${(attachment.originalName || 'attachment').replace(/"/g, '')}"`);
+    res.send(buffer);
+});
+
+const unreadMessages = (role) => wrapAsync(async (req, res) => {
+    res.json({ success: true, ...(await unreadMessageCounts(role, req.session[ROLES[role].sessionKey])) });
+});
+
+// `message` and `read` events for every thread of the signed-in user, with a comment line as a
+// heartbeat so proxies keep the connection open
+const messageStream = (role) => (req, res) => {
+    const channel = messageChannel(role, req.session[ROLES[role].sessionKey]);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const listener = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    messageEvents.on(channel, listener);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), MESSAGE_HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        messageEvents.off(channel, listener);
+    });
+};
+
+app.get('/api/appointments/:appointmentId/messages', requireRole('patient'), listMessages('patient'));
+app.post('/api/appointments/:appointmentId/messages', requireRole('patient'), sendMessage('patient'));
+app.post('/api/appointments/:appointmentId/messages/read', requireRole('patient'), markThreadRead('patient'));
+app.get('/api/appointments/:appointmentId/messages/:messageId/attachments/:index', requireRole('patient'), sendMessageAttachment('patient'));
+app.get('/api/messages/unread', requireRole('patient'), unreadMessages('patient'));
+app.get('/api/messages/stream', requireRole('patient'), messageStream('patient'));
+
+app.get('/api/doctor/appointments/:appointmentId/messages', requireRole('doctor'), listMessages('doctor'));
+app.post('/api/doctor/appointments/:appointmentId/messages', requireRole('doctor'), sendMessage('doctor'));
+app.post('/api/doctor/appointments/:appointmentId/messages/read', requireRole('doctor'), markThreadRead('doctor'));
+app.get('/api/doctor/appointments/:appointmentId/messages/:messageId/attachments/:index', requireRole('doctor'), sendMessageAttachment('doctor'));
+app.get('/api/doctor/messages/unread', requireRole('doctor'), unreadMessages('doctor'));
+app.get('/api/doctor/messages/stream', requireRole('doctor'), messageStream('doctor'));
+
+// Patient: conversations page, one thread per appointment, most recent activity first
+app.get('/messages', requireRole('patient'), wrapAsync(async (req, res) => {
+    const patientId = new mongoose.Types.ObjectId(String(req.session.user_id));
+    const [appointments, lastMessages, unread] = await Promise.all([
+        Appointment.find({ patient: patientId }).sort({ date: -1 }).limit(100).populate('doctor', 'name specialization'),
+        Message.aggregate([
+            { $match: { patient: patientId } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$appointment',
+                    body: { $first: '$body' },
+                    senderRole: { $first: '$senderRole' },
+                    attachments: { $first: { $size: '$attachments' } },
+                    createdAt: { $first: '$createdAt' }
+                }
+            }
+        ]),
+        unreadMessageCounts('patient', patientId)
+    ]);
+
+    const lastByAppointment = new Map(lastMessages.map(m => [String(m._id), m]));
+    const threads = appointments
+        .filter(a => a.doctor)
+        .map(a => ({
+            appointmentId: String(a._id),
+            doctor: { name: a.doctor.name, specialization: a.doctor.specialization },
+            date: a.date,
+            status: a.status,
+            lastMessage: lastByAppointment.get(String(a._id)) || null,
+            unread: unread.threads[String(a._id)] || 0
+        }))
+        .sort((a, b) => (b.lastMessage ? b.lastMessage.createdAt : 0) - (a.lastMessage ? a.lastMessage.createdAt : 0));
+
+    res.render('messages', { threads, selected: req.query.appointment || null });
+}));
+
+// ==================== VIDEO CONSULTATIONS ====================
+// Peer-to-peer WebRTC calls; the app only does the signaling. Each side gets a room token for
+// its appointment (only inside the call window around the appointment time), opens the room's
+// event stream with it and posts offers, answers and ICE candidates, which are relayed to the
+// other side's stream. Rooms live in memory, so with several app instances both sides of a
+// call must reach the same one (sticky sessions). Start and end of the call are recorded on the
+// appointment; the doctor completes the appointment afterwards as usual.
+const CALL_OPENS_BEFORE_MINUTES = Number(process.env.CALL_OPENS_BEFORE_MINUTES) || 15;
+const CALL_CLOSES_AFTER_MINUTES = Number(process.env.CALL_CLOSES_AFTER_MINUTES) || 60;
+const CALL_TOKEN_SECRET = process.env.CALL_TOKEN_SECRET || process.env.SESSION_SECRET || "fallbackSecret";
+// JSON array of RTCIceServer; add a TURN server for patients behind strict NATs
+const ICE_SERVERS = process.env.ICE_SERVERS
+    ? JSON.parse(process.env.ICE_SERVERS)
+    : [{ urls: 'stun:stun.l.google.com:19302' }];
+const CALL_SIGNAL_TYPES = ['offer', 'answer', 'candidate'];
+const MAX_CALL_SIGNAL_CHARS = 64 * 1024;
+const CALL_HEARTBEAT_MS = 25 * 1000;
+// appointmentId -> { doctor: res, patient: res } for the event streams currently in the room
+const callRooms = new Map();
+
+const callWindowOf = (appointment) => callWindow(appointment, {
+    before: CALL_OPENS_BEFORE_MINUTES,
+    after: CALL_CLOSES_AFTER_MINUTES
+});
+
+const sendCallEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Payload of an unexpired call token issued to the signed-in user for this appointment
+function readCallRequest(req, token) {
+    const call = readCallToken(token, CALL_TOKEN_SECRET);
+    const role = call && ROLES[call.role];
+    if (!role || call.appointment !== req.params.appointmentId || String(req.session[role.sessionKey]) !== call.user) {
+        throw new AppError('Invalid call token', 403);
+    }
+    if (call.exp < Date.now()) {
+        throw new AppError('This call token has expired', 403);
+    }
+    return call;
+}
+
+// The first time both sides are in the room; a rejoin after a hang-up reopens the call
+async function recordCallStart(appointmentId) {
+    await Appointment.updateOne({ _id: appointmentId, 'call.startedAt': null }, { $set: { 'call.startedAt': new Date() } });
+    await Appointment.updateOne({ _id: appointmentId }, { $unset: { 'call.endedAt': 1, 'call.endedBy': 1 } });
+}
+
+async function recordCallEnd(appointmentId, role) {
+    await Appointment.updateOne(
+        { _id: appointmentId, 'call.startedAt': { $ne: null }, 'call.endedAt': null },
+        { $set: { 'call.endedAt': new Date(), 'call.endedBy': role } }
+    );
+}
+
+// Call page for either side. It opens outside the window too, to say when the call will be possible
+const renderCallPage = (role) => wrapAsync(async (req, res) => {
+    const appointment = await findSharedAppointment(req, role);
+    await appointment.populate([
+        { path: 'doctor', select: 'name specialization' },
+        { path: 'patient', select: 'name' }
+    ]);
+    const { opensAt, closesAt } = callWindowOf(appointment);
+
+    res.render('call', {
+        role,
+        call: {
+            appointmentId: String(appointment._id),
+            date: appointment.date,
+            status: appointment.status,
+            record: appointment.call || {},
+            opensAt,
+            closesAt,
+            peerName: role === 'doctor'
+                ? (appointment.patientName || appointment.patient.name)
+                : `Dr. ${appointment.doctor.name}`,
+            tokenUrl: role === 'doctor'
+                ? `/api/doctor/appointments/${appointment._id}/call/token`
+                : `/api/appointments/${appointment._id}/call/token`,
+            backUrl: role === 'doctor' ? '/doctor/dashboard' : '/appointments'
+        }
+    });
+});
+
+const issueCallToken = (role) => wrapAsync(async (req, res) => {
+    const appointment = await findSharedAppointment(req, role);
+    if (appointment.status === 'Cancelled' || appointment.status === 'Completed') {
+        throw new AppError(`This appointment is ${appointment.status.toLowerCase()}`, 409);
+    }
+    const { opensAt, closesAt } = callWindowOf(appointment);
+    const now = new Date();
+    if (now < opensAt) {
+        throw new AppError(`The call opens ${CALL_OPENS_BEFORE_MINUTES} minutes before the appointment`, 403);
+    }
+    if (now > closesAt) {
+        throw new AppError('The call window for this appointment has closed', 403);
+    }
+
+    const token = createCallToken({
+        appointment: appointment._id,
+        role,
+        user: req.session[ROLES[role].sessionKey],
+        expiresAt: closesAt
+    }, CALL_TOKEN_SECRET);
+    res.json({ success: true, token, expiresAt: closesAt, iceServers: ICE_SERVERS });
+});
+
+app.get('/appointments/:appointmentId/call', requireRole('patient'), renderCallPage('patient'));
+app.get('/doctor/appointments/:appointmentId/call', requireRole('doctor'), renderCallPage('doctor'));
+app.post('/api/appointments/:appointmentId/call/token', requireRole('patient'), issueCallToken('patient'));
+app.post('/api/doctor/appointments/:appointmentId/call/token', requireRole('doctor'), issueCallToken('doctor'));
+
+// Joins the room: `joined` ({ peerPresent }) first, then `peer-joined`, `signal`, `peer-left`,
+// `ended` (the other side hung up) and `replaced` (the same side joined from another tab)
+app.get('/api/calls/:appointmentId/stream', requireRole('patient', 'doctor'), wrapAsync(async (req, res) => {
+    const call = readCallRequest(req, req.query.token);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    if (!callRooms.has(call.appointment)) {
+        callRooms.set(call.appointment, {});
+    }
+    const room = callRooms.get(call.appointment);
+    const previous = room[call.role];
+    room[call.role] = res;
+    if (previous) {
+        sendCallEvent(previous, 'replaced', {});
+        previous.end();
+    }
+
+    const peer = room[otherRole(call.role)];
+    sendCallEvent(res, 'joined', { role: call.role, peerPresent: Boolean(peer) });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), CALL_HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (room[call.role] !== res) return;
+        delete room[call.role];
+        const other = room[otherRole(call.role)];
+        if (other) {
+            sendCallEvent(other, 'peer-left', { role: call.role });
+        } else {
+            callRooms.delete(call.appointment);
+            recordCallEnd(call.appointment, call.role)
+                .catch(err => console.error(`❌ Could not record end of call ${call.appointment}:`, err.message));
+        }
+    });
+
+    // Headers are out, so a failure here is only logged
+    if (peer) {
+        sendCallEvent(peer, 'peer-joined', { role: call.role });
+        recordCallStart(call.appointment)
+            .then(() => console.log(`🎥 Call connected for appointment ${call.appointment}`))
+            .catch(err => console.error(`❌ Could not record start of call ${call.appointment}:`, err.message));
+    }
+}));
+
+// `{ token, signal: { type: offer | answer | candidate, ... } }`, relayed as is to the other side
+app.post('/api/calls/:appointmentId/signal', requireRole('patient', 'doctor'), wrapAsync(async (req, res) => {
+    const call = readCallRequest(req, req.body.token);
+    const room = callRooms.get(call.appointment);
+    if (!room || !room[call.role]) {
+        throw new AppError('Join the call before signaling', 409);
+    }
+    const { signal } = req.body;
+    if (!signal || !CALL_SIGNAL_TYPES.includes(signal.type) || JSON.stringify(signal).length > MAX_CALL_SIGNAL_CHARS) {
+        throw new AppError(`Signals must be one of ${CALL_SIGNAL_TYPES.join(', ')}`, 400);
+    }
+
+    const peer = room[otherRole(call.role)];
+    if (peer) {
+        sendCallEvent(peer, 'signal', signal);
+    }
+    res.json({ success: true, delivered: Boolean(peer) });
+}));
+
+// Hang up: ends the call for both sides
+app.post('/api/calls/:appointmentId/end', requireRole('patient', 'doctor'), wrapAsync(async (req, res) => {
+    const call = readCallRequest(req, req.body.token);
+    const room = callRooms.get(call.appointment);
+    const peer = room && room[otherRole(call.role)];
+    if (peer) {
+        sendCallEvent(peer, 'ended', { by: call.role });
+    }
+    await recordCallEnd(call.appointment, call.role);
+
+    const appointment = await Appointment.findById(call.appointment).select('status call');
+    console.log(`🎥 Call ended by ${call.role} for appointment ${call.appointment}`);
+    res.json({ success: true, status: appointment.status, call: appointment.call });
+}));
+
+// ==================== SUPER ADMIN ROUTES ====================
+
+// Admin Login
+app.get("/admin/login", (req, res) => {
+    res.render("admin-login");
+});
+
+app.post("/admin/login", wrapAsync(async (req, res) => {
+    const { email, password } = req.body;
+    const admin = await Admin.findOne({ email }).select('+password');
+
+    if (!admin || !(await admin.verifyPassword(password))) {
+        console.log(`❌ Admin login failed for: ${email}`);
+        return res.redirect("/admin/login");
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    req.session.admin_id = admin._id;
+    req.session.admin = { id: admin._id, name: admin.name, email: admin.email };
+
+    console.log(`🛡️ Admin Login: ${admin.name}`);
+    res.redirect("/superadmin");
+}));
+
+// Admin Logout
+app.get("/admin/logout", (req, res) => {
+    req.session.admin_id = null;
+    req.session.admin = null;
+    res.redirect("/admin/login");
+});
+
+// Super Admin Dashboard
+app.get('/superadmin', requireRole('admin'), wrapAsync(async (req, res) => {
+    const doctors = await Doctor.find({});
+    res.render('superadmin', { doctors, admin: req.session.admin });
+}));
+
+// Every verification decision must carry an admin note
+function getDecisionNote(req) {
+    const note = (req.body.note || '').trim();
+    if (!note) {
+        throw new AppError('A note explaining the decision is required', 400);
+    }
+    return note;
+}
+
+// Verify Doctor
+app.post('/api/superadmin/verify/:id', requireRole('admin'), wrapAsync(async (req, res) => {
+    const note = getDecisionNote(req);
+    const doctor = await Doctor.findByIdAndUpdate(
+        req.params.id,
+        { isVerified: true, verificationRequested: false, verificationNote: note, verificationDecidedAt: new Date() },
+        { new: true }
+    );
+    if (!doctor) {
+        throw new AppError('Doctor not found', 404);
+    }
+
+    await recordAudit('admin', req.session.admin, 'doctor.verify', doctor, note);
+    await queueNotification('doctor.verified', 'Doctor', doctor, { doctor, note });
+    console.log(`✅ Doctor verified: ${doctor.name}`);
+    res.json({ success: true, message: 'Doctor verified', doctor });
+}));
+
+// Reject Doctor (also revokes an existing verification)
+app.post('/api/superadmin/reject/:id', requireRole('admin'), wrapAsync(async (req, res) => {
+    const note = getDecisionNote(req);
+    const doctor = await Doctor.findByIdAndUpdate(
+        req.params.id,
+        { isVerified: false, verificationRequested: false, verificationNote: note, verificationDecidedAt: new Date() },
+        { new: true }
+    );
+    if (!doctor) {
+        throw new AppError('Doctor not found', 404);
+    }
+
+    await recordAudit('admin', req.session.admin, 'doctor.reject', doctor, note);
+    await queueNotification('doctor.rejected', 'Doctor', doctor, { doctor, note });
+    console.log(`❌ Doctor verification rejected: ${doctor.name}`);
+    res.json({ success: true, message: 'Verification rejected', doctor });
+}));
+
+// Review a doctor's credential document
+app.get('/api/superadmin/doctors/:id/documents/:docId', requireRole('admin'), wrapAsync(async (req, res) => {
+    const doctor = await Doctor.findById(req.params.id);
+    await sendVerificationDocument(res, doctor, req.params.docId);
+}));
+
+// Verification audit trail for one doctor, newest first
+app.get('/api/superadmin/doctors/:id/audit', requireRole('admin'), wrapAsync(async (req, res) => {
+    const entries = await AuditLog.find({ targetType: 'Doctor', targetId: req.params.id })
+        .sort({ createdAt: -1 })
+        .limit(100);
+
+    res.json({ success: true, entries });
+}));
+
+// AI model breakers, in the order the fallback chain would currently try them
+app.get('/api/superadmin/models', requireRole('admin'), (req, res) => {
+    const models = rankModels(MODEL_PRIORITY, modelBreakers).map((model, position) => {
+        const breaker = modelBreakers.get(model.name);
+        return {
+            ...breaker.snapshot(),
+            position: position + 1,
+            configuredPosition: MODEL_PRIORITY.indexOf(model) + 1,
+            recentSuccessRate: Math.round(breaker.successRate * 100)
+        };
+    });
+
+    res.json({ success: true, models });
+});
+
+// Disable or re-enable a model at runtime; takes effect immediately here and on other instances at their next sync
+app.post('/api/superadmin/models/:name/state', requireRole('admin'), wrapAsync(async (req, res) => {
+    const breaker = modelBreakers.get(req.params.name);
+    if (!breaker) {
+        throw new AppError('Model not found', 404);
+    }
+    if (typeof req.body.disabled !== 'boolean') {
+        throw new AppError('disabled must be true or false', 400);
+    }
+
+    const { disabled } = req.body;
+    breaker.disabled = disabled;
+    if (!disabled) {
+        breaker.reset();
+    }
+
+    const stat = await ModelStat.findOneAndUpdate(
+        { name: breaker.name },
+        { $set: breaker.snapshot() },
+        { upsert: true, new: true }
+    );
+    const note = (req.body.note || '').trim();
+    await recordAudit('admin', req.session.admin, disabled ? 'model.disable' : 'model.enable', stat, note);
+
+    console.log(`🔧 Model ${breaker.name} ${disabled ? 'disabled' : 'enabled'} by ${req.session.admin.name}`);
+    res.json({ success: true, model: breaker.snapshot() });
+}));
+
+// Cached medicine monographs, flagged first, then unreviewed
+const MONOGRAPH_REVIEW_ORDER = { flagged: 0, unreviewed: 1, approved: 2 };
+
+app.get('/api/superadmin/monographs', requireRole('admin'), wrapAsync(async (req, res) => {
+    const query = MONOGRAPH_REVIEW_ORDER[req.query.status] !== undefined ? { 'review.status': req.query.status } : {};
+    const monographs = await MedicineMonograph.find(query).sort({ updatedAt: -1 }).limit(200);
+    monographs.sort((a, b) => MONOGRAPH_REVIEW_ORDER[a.review.status] - MONOGRAPH_REVIEW_ORDER[b.review.status]);
+
+    const now = new Date();
+    res.json({
+        success: true,
+        monographs: monographs.map(m => ({ ...m.toObject(), usable: isMonographUsable(m, now) }))
+    });
+}));
+
+// Approve (stops it expiring), flag (withdrawn and regenerated on the next lookup) or reset a monograph
+app.post('/api/superadmin/monographs/:id/review', requireRole('admin'), wrapAsync(async (req, res) => {
+    const { status } = req.body;
+    if (MONOGRAPH_REVIEW_ORDER[status] === undefined) {
+        throw new AppError('Status must be approved, flagged or unreviewed', 400);
+    }
+    // Withdrawing medical information needs a reason
+    const note = status === 'flagged' ? getDecisionNote(req) : (req.body.note || '').trim();
+
+    const monograph = await MedicineMonograph.findByIdAndUpdate(
+        req.params.id,
+        { review: { status, note, reviewedBy: req.session.admin.name, reviewedAt: new Date() } },
+        { new: true }
+    );
+    if (!monograph) {
+        throw new AppError('Monograph not found', 404);
+    }
+
+    await recordAudit('admin', req.session.admin, `monograph.${status}`, monograph, note);
+    console.log(`📝 Monograph ${monograph.name} marked ${status} by ${req.session.admin.name}`);
+    res.json({ success: true, monograph });
+}));
+
+// ==================== AI FEATURE PAGE ROUTES ====================
+
+app.get("/index", requireRole('patient'), (req, res) => {
+    res.render("index");
+});
+app.get("/chatbot", requireRole('patient'), (req, res) => {
+    res.render("chatbot");
+});
+
+app.get("/symptom-analysis", requireRole('patient'), wrapAsync(async (req, res) => {
+    const user = await User.findById(req.session.user_id).select('age gender critical');
+    res.render("symptom-analysis", { user });
+}));
+
+app.get("/report-summary", requireRole('patient'), (req, res) => {
+    res.render("report-summary");
+});
+
+app.get("/medicine-info", requireRole('patient'), (req, res) => {
+    res.render("medical-info");
+});
+
+app.get("/health-tips", requireRole('patient'), (req, res) => {
+    res.render("health-tips");
+});
+
+app.get("/diet-plan", requireRole('patient'), (req, res) => {
+    res.render("diet-plan");
+});
+
+// ==================== AI HEALTHCARE ROUTES ====================
+
+// 1. Health Chatbot
+app.post('/api/chat', requireRole('patient'), wrapAsync(async (req, res) => {
+    const { message, conversationId } = req.body;
+
+    if (typeof message !== 'string' || !message.trim()) {
+        throw new AppError('Message is required', 400);
+    }
+    if (conversationId && !mongoose.isValidObjectId(conversationId)) {
+        throw new AppError('conversationId must be a conversation id', 400);
+    }
+
+    let conversation;
+    if (conversationId) {
+        conversation = await Conversation.findOne({ _id: conversationId, user: req.session.user_id });
+        if (!conversation) {
+            throw new AppError('Conversation not found', 404);
+        }
+    } else {
+        conversation = new Conversation({
+            user: req.session.user_id,
+            title: message.slice(0, 60)
+        });
+    }
+
+    const emergency = await screenForRedFlags(req, 'chat', message);
+    if (emergency) {
+        return res.json({ ...emergency, reply: emergency.message, conversationId: conversationId || null });
+    }
+
+    console.log(`💬 Chat [${conversation._id}]: ${message}`);
+
+    await respondWithAI(req, res,
+        (onToken) => chatWithFallback(conversation.messages, message, onToken),
+        async (result) => {
+            conversation.messages.push(
+                { role: 'user', content: message },
+                { role: 'assistant', content: result.reply, modelUsed: result.modelUsed, provider: result.provider }
+            );
+            await conversation.save();
+
+            return {
+                reply: result.reply,
+                success: true,
+                conversationId: conversation._id,
+                title: conversation.title,
+                modelUsed: result.modelUsed,
+                provider: result.provider
+            };
+        });
+}));
+
+// 2. Symptom Analysis (structured, saved to the patient's history)
+app.post('/api/analyze-symptoms', requireRole('patient'), wrapAsync(async (req, res) => {
+    const { symptoms, age, gender, duration } = req.body;
+
+    if (!symptoms) {
+        throw new AppError('Symptoms are required', 400);
+    }
+
+    const emergency = await screenForRedFlags(req, 'analyze-symptoms', symptoms);
+    if (emergency) {
+        return res.json(emergency);
+    }
+
+    console.log('🔍 Analyzing symptoms:', symptoms);
+
+    const prompt = `You are a medical AI assistant. Analyze the following patient symptoms and provide a structured medical assessment.
+
+**Patient Information:**
+- Age: ${age || 'Not specified'}
+- Gender: ${gender || 'Not specified'}
+- Symptoms: ${symptoms}
+- Duration: ${duration || 'Not specified'}
+
+Respond with ONLY a JSON object in exactly this structure (no markdown, no code fences):
+${SYMPTOM_ANALYSIS_FORMAT}
+
+Rules:
+- List 1 to 3 possible conditions, most likely first.
+- "probability", "severity.level" and "urgency.level" must use one of the listed values exactly.
+- Give 3 to 5 specific, practical recommendations.
+- The disclaimer must clearly tell the patient to seek professional medical help.
+
+Provide accurate and helpful information while being clear this is preliminary guidance only.`;
+
+    await respondWithAI(req, res,
+        (onToken, onReset) => generateJSONWithFallback(prompt, {
+            temperature: 0.2,
+            maxOutputTokens: 1200
+        }, validateSymptomAnalysis, null, onToken, onReset),
+        async (result) => {
+            const analysis = await SymptomAnalysis.create({
+                user: req.session.user_id,
+                symptoms,
+                age: age || undefined,
+                gender,
+                duration,
+                ...result.data,
+                modelUsed: result.modelUsed,
+                provider: result.provider
+            });
+
+            console.log('✅ Analysis complete');
+            return {
+                analysis,
+                success: true,
+                modelUsed: result.modelUsed,
+                provider: result.provider
+            };
+        });
+}));
+
+// Past analyses, newest first
+app.get('/api/symptom-analyses', requireRole('patient'), wrapAsync(async (req, res) => {
+    const analyses = await SymptomAnalysis.find({ user: req.session.user_id })
+        .sort({ createdAt: -1 })
+        .limit(50);
+
+    res.json({ success: true, analyses });
+}));
+
+app.get('/api/symptom-analyses/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const analysis = await SymptomAnalysis.findOne({ _id: req.params.id, user: req.session.user_id });
+    if (!analysis) {
+        throw new AppError('Analysis not found', 404);
+    }
+
+    res.json({ success: true, analysis });
+}));
+
+app.delete('/api/symptom-analyses/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const analysis = await SymptomAnalysis.findOneAndDelete({ _id: req.params.id, user: req.session.user_id });
+    if (!analysis) {
+        throw new AppError('Analysis not found', 404);
+    }
+
+    // Bookings it was attached to no longer reference it
+    await Appointment.updateMany({ symptomAnalyses: analysis._id }, { $pull: { symptomAnalyses: analysis._id } });
+
+    res.json({ success: true, message: 'Analysis deleted' });
+}));
+
+// ==================== GUIDED TRIAGE ====================
+
+const TRIAGE_GENDERS = ['Male', 'Female', 'Other'];
+
+function triageState(session) {
+    return {
+        session: {
+            _id: session._id,
+            complaint: session.complaint,
+            status: session.status,
+            profile: effectiveProfile(session),
+            answers: session.answers.map(a => ({ question: a.question, answer: formatAnswer(a.value) }))
+        },
+        question: session.status === 'in-progress' ? nextTriageQuestion(session) : null
+    };
+}
+
+// Turns a finished interview into a structured assessment saved with the patient's analyses
+async function finishTriage(session) {
+    const prompt = `You are a medical AI assistant. Analyze the following patient symptoms, gathered through a guided triage interview, and provide a structured medical assessment.
+
+**Interview:**
+${triageTranscript(session)}
+
+Respond with ONLY a JSON object in exactly this structure (no markdown, no code fences):
+${SYMPTOM_ANALYSIS_FORMAT}
+
+Rules:
+- List 1 to 3 possible conditions, most likely first, and base them on the interview answers.
+- "probability", "severity.level" and "urgency.level" must use one of the listed values exactly.
+- Give 3 to 5 specific, practical recommendations that take the patient's known conditions and medicines into account.
+- The disclaimer must clearly tell the patient to seek professional medical help.`;
+
+    const result = await generateJSONWithFallback(prompt, {
+        temperature: 0.2,
+        maxOutputTokens: 1200
+    }, validateSymptomAnalysis);
+
+    const profile = effectiveProfile(session);
+    const onset = session.answers.find(a => a.questionId === 'onset');
+    const analysis = await SymptomAnalysis.create({
+        user: session.user,
+        symptoms: session.complaint,
+        age: profile.age || undefined,
+        gender: profile.gender || undefined,
+        duration: onset ? onset.value : undefined,
+        ...result.data,
+        source: 'triage',
+        modelUsed: result.modelUsed,
+        provider: result.provider
+    });
+
+    session.status = 'completed';
+    session.analysis = analysis._id;
+    await session.save();
+
+    console.log(`✅ Triage completed: ${session._id}`);
+    return analysis;
+}
+
+async function findActiveTriage(req) {
+    const session = await TriageSession.findOne({ _id: req.params.id, user: req.session.user_id });
+    if (!session) {
+        throw new AppError('Triage session not found', 404);
+    }
+    if (session.status !== 'in-progress') {
+        throw new AppError(`This triage session is already ${session.status}`, 409);
+    }
+    return session;
+}
+
+// Resume the patient's unfinished interview, if any
+app.get('/api/triage/current', requireRole('patient'), wrapAsync(async (req, res) => {
+    const session = await TriageSession.findOne({ user: req.session.user_id, status: 'in-progress' })
+        .sort({ updatedAt: -1 });
+
+    res.json({ success: true, ...(session ? triageState(session) : { session: null, question: null }) });
+}));
 
-    if (!message) {
-        throw new AppError('Message is required', 400);
+// Start a new interview; any unfinished one is abandoned
+app.post('/api/triage', requireRole('patient'), wrapAsync(async (req, res) => {
+    const complaint = (req.body.complaint || '').trim();
+    if (!complaint) {
+        throw new AppError('Please describe your main problem', 400);
     }
 
-    console.log(`💬 Chat [${sessionId}]: ${message}`);
-
-    let chat = chatSessions.get(sessionId);
-    const result = await chatWithFallback(genAI, groqClient, chat, message, sessionId);
-    
-    if (result.chat) {
-        chatSessions.set(sessionId, result.chat);
+    const emergency = await screenForRedFlags(req, 'triage', complaint);
+    if (emergency) {
+        return res.json(emergency);
     }
 
-    res.json({
-        reply: result.reply,
-        success: true,
-        sessionId,
-        modelUsed: result.modelUsed,
-        provider: result.provider
+    await TriageSession.updateMany(
+        { user: req.session.user_id, status: 'in-progress' },
+        { status: 'abandoned' }
+    );
+
+    const user = await User.findById(req.session.user_id).select('age gender critical');
+    const session = await TriageSession.create({
+        user: req.session.user_id,
+        complaint,
+        topics: topicsFor(complaint),
+        profile: {
+            age: user.age || undefined,
+            gender: TRIAGE_GENDERS.includes(user.gender) ? user.gender : undefined,
+            conditions: user.critical || undefined
+        }
     });
+
+    console.log(`🩺 Triage started [${session._id}]: ${complaint}`);
+    res.status(201).json({ success: true, ...triageState(session) });
 }));
 
-// 2. Symptom Analysis
-app.post('/api/analyze-symptoms', requireLogin, wrapAsync(async (req, res) => {
-    const { symptoms, age, gender, duration } = req.body;
+// Answer the current question; the last answer triggers the assessment
+app.post('/api/triage/:id/answer', requireRole('patient'), wrapAsync(async (req, res) => {
+    const session = await findActiveTriage(req);
+    const question = nextTriageQuestion(session);
+    if (!question) {
+        throw new AppError('All questions are answered; request the assessment instead', 409);
+    }
+    if (req.body.questionId !== question.id) {
+        throw new AppError('That question has already been answered', 409);
+    }
 
-    if (!symptoms) {
-        throw new AppError('Symptoms are required', 400);
+    let value;
+    try {
+        value = parseTriageAnswer(question, req.body.answer);
+    } catch (err) {
+        throw new AppError(err.message, 400);
     }
 
-    console.log('🔍 Analyzing symptoms:', symptoms);
+    const emergency = await screenForRedFlags(req, 'triage', formatAnswer(value));
+    if (emergency) {
+        return res.json(emergency);
+    }
 
-    const prompt = `You are a medical AI assistant. Analyze the following patient symptoms and provide a structured medical assessment.
+    session.answers.push({ questionId: question.id, question: question.text, value });
+    await session.save();
 
-**Patient Information:**
-- Age: ${age || 'Not specified'}
-- Gender: ${gender || 'Not specified'}
-- Symptoms: ${symptoms}
-- Duration: ${duration || 'Not specified'}
+    if (nextTriageQuestion(session)) {
+        return res.json({ success: true, ...triageState(session) });
+    }
 
-**Provide analysis in this exact format:**
+    const analysis = await finishTriage(session);
+    res.json({ success: true, done: true, analysis, ...triageState(session) });
+}));
+
+// Retry the assessment for a fully answered interview (e.g. after every model was unavailable)
+app.post('/api/triage/:id/assess', requireRole('patient'), wrapAsync(async (req, res) => {
+    const session = await findActiveTriage(req);
+    if (nextTriageQuestion(session)) {
+        throw new AppError('Please answer the remaining questions first', 409);
+    }
 
-**POSSIBLE CONDITIONS:**
-1. [Condition Name] - Probability: [High/Medium/Low]
-   Brief explanation of why this is suspected.
+    const analysis = await finishTriage(session);
+    res.json({ success: true, done: true, analysis, ...triageState(session) });
+}));
 
-2. [Condition Name] - Probability: [High/Medium/Low]
-   Brief explanation of why this is suspected.
+app.delete('/api/triage/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const session = await findActiveTriage(req);
+    session.status = 'abandoned';
+    await session.save();
 
-3. [Condition Name] - Probability: [High/Medium/Low]
-   Brief explanation of why this is suspected.
+    res.json({ success: true, message: 'Triage abandoned' });
+}));
 
-**SEVERITY LEVEL:** [Low/Medium/High]
-Brief explanation of severity assessment.
+// 3. Medical Report Summary
+// Lab reports are pasted, or uploaded as a PDF or text file and read locally. Values are
+// extracted and flagged by rules (utils/labResults.js) and saved per user; the model only explains them.
+const labAnalytes = loadLabAnalytes();
+const MAX_LAB_REPORT_BYTES = 5 * 1024 * 1024;
+const MAX_LAB_REPORT_CHARS = 20000;
+
+// Text of the submitted report plus how it arrived
+async function readLabReportInput(body) {
+    const { reportText, fileName, fileBase64 } = body;
+
+    if (fileBase64 !== undefined && typeof fileBase64 !== 'string') {
+        throw new AppError('fileBase64 must be a base64 string', 400);
+    }
+    if (!fileBase64) {
+        if (typeof reportText !== 'string' || !reportText.trim()) {
+            throw new AppError('Report text or a PDF/text file is required', 400);
+        }
+        return { text: reportText, source: { kind: 'paste' } };
+    }
 
-**URGENCY:** [Immediate/Soon/Routine]
-When should the patient seek medical attention.
+    const buffer = decodeBase64Upload(fileBase64);
+    if (buffer.length > MAX_LAB_REPORT_BYTES) {
+        throw new AppError('Reports must be 5 MB or smaller', 413);
+    }
 
-**RECOMMENDATIONS:**
-1. [Specific recommendation]
-2. [Specific recommendation]
-3. [Specific recommendation]
-4. [Specific recommendation]
-5. [Specific recommendation]
+    const fileType = detectFileType(buffer);
+    let text;
+    let source;
+    if (fileType && fileType.mimeType === 'application/pdf') {
+        text = extractPdfText(buffer);
+        if (!text) {
+            throw new AppError('No text could be read from this PDF (it may be a scanned image). Please upload a photo of it or paste the text.', 422);
+        }
+        source = { kind: 'pdf', mimeType: fileType.mimeType, extension: fileType.extension };
+    } else if (!fileType && !buffer.includes(0)) {
+        text = buffer.toString('utf8');
+        source = { kind: 'text-file', mimeType: 'text/plain', extension: '.txt' };
+    } else {
+        throw new AppError('Only PDF or plain-text reports can be uploaded here. Use the image upload for photos.', 415);
+    }
 
-**IMPORTANT DISCLAIMER:**
-[Clear statement about seeking professional medical help]
+    return { text, source: { ...source, originalName: String(fileName || `report${source.extension}`).slice(0, 200) }, buffer };
+}
 
-Provide detailed, accurate, and helpful information while being clear this is preliminary guidance only.`;
+app.post('/api/summarize-report', requireRole('patient'), wrapAsync(async (req, res) => {
+    const { reportType, reportDate } = req.body;
+    const input = await readLabReportInput(req.body);
+    const reportText = input.text.slice(0, MAX_LAB_REPORT_CHARS);
 
-    const result = await generateWithFallback(genAI, groqClient, prompt, {
-        temperature: 0.3,
-        maxOutputTokens: 600
-    });
+    const emergency = await screenForRedFlags(req, 'summarize-report', reportText);
+    if (emergency) {
+        return res.json(emergency);
+    }
 
-    console.log('✅ Analysis complete');
+    let date = new Date();
+    if (reportDate) {
+        date = new Date(reportDate);
+        if (Number.isNaN(date.getTime()) || date > new Date()) {
+            throw new AppError('Report date must be a valid date that is not in the future', 400);
+        }
+    }
 
-    res.json({
-        analysis: result.text,
-        success: true,
-        modelUsed: result.modelUsed,
-        provider: result.provider
-    });
-}));
+    console.log('📄 Summarizing report...');
 
-// 3. Medical Report Summary
-app.post('/api/summarize-report', requireLogin, wrapAsync(async (req, res) => {
-    const { reportText, reportType } = req.body;
+    const user = await User.findById(req.session.user_id).select('gender');
+    const results = extractLabResults(labAnalytes, reportText, { gender: user.gender });
 
-    if (!reportText) {
-        throw new AppError('Report text is required', 400);
+    const { extension, ...source } = input.source;
+    if (input.buffer) {
+        source.storageKey = await storage.save(input.buffer, {
+            folder: `lab-reports/${req.session.user_id}`,
+            extension
+        });
     }
 
-    console.log('📄 Summarizing report...');
+    const report = await LabReport.create({
+        user: req.session.user_id,
+        reportType: reportType || 'Medical Report',
+        reportDate: date,
+        source,
+        text: reportText,
+        results
+    });
+    console.log(`🧪 Lab report saved with ${results.length} values`);
+
+    const checkedValues = results.length > 0
+        ? `
+**Values checked against reference ranges (these flags come from the ranges, use them as given):**
+${results.map(r => `- ${formatLabResult(r)}`).join('\n')}
+`
+        : '';
 
     const prompt = `You are a medical AI assistant specializing in explaining medical reports to patients.
 
@@ -796,7 +2968,7 @@ app.post('/api/summarize-report', requireLogin, wrapAsync(async (req, res) => {
 
 **Report Content:**
 ${reportText}
-
+${checkedValues}
 **Please provide a patient-friendly summary with:**
 
 1. **KEY FINDINGS:** Main results from the report
@@ -807,32 +2979,49 @@ ${reportText}
 
 Use simple, non-technical language. Avoid medical jargon. Be clear and reassuring while being honest about findings.`;
 
-    const result = await generateWithFallback(genAI, groqClient, prompt, {
-        temperature: 0.4,
-        maxOutputTokens: 500
-    });
-
-    console.log('✅ Summary generated');
-
-    res.json({
-        summary: result.text,
-        success: true,
-        modelUsed: result.modelUsed,
-        provider: result.provider
-    });
+    await respondWithAI(req, res,
+        (onToken) => generateWithFallback(prompt, {
+            temperature: 0.4,
+            maxOutputTokens: 500
+        }, null, onToken),
+        async (result) => {
+            report.summary = result.text;
+            report.modelUsed = result.modelUsed;
+            report.provider = result.provider;
+            await report.save();
+
+            console.log('✅ Summary generated');
+            return {
+                summary: result.text,
+                report,
+                success: true,
+                modelUsed: result.modelUsed,
+                provider: result.provider
+            };
+        });
 }));
 
-// 4. Medicine Information
-app.post('/api/medicine-info', requireLogin, wrapAsync(async (req, res) => {
-    const { medicineName } = req.body;
+// 4. Medicine Information (resolved against the local catalog; generated text is cached per medicine)
+const formulary = loadFormulary();
+const MONOGRAPH_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_MEDICINE_SUGGESTIONS = 8;
+console.log(`💊 Loaded ${formulary.medicines.length} catalog medicines`);
 
-    if (!medicineName) {
-        throw new AppError('Medicine name is required', 400);
-    }
+// A cached monograph is served while it is fresh (or approved) and has not been flagged
+function isMonographUsable(monograph, now = new Date()) {
+    if (!monograph || monograph.review.status === 'flagged') return false;
+    return monograph.review.status === 'approved' || monograph.expiresAt > now;
+}
 
-    console.log('💊 Getting info for:', medicineName);
+// Autocomplete for the medicine search box
+app.get('/api/medicines/search', requireRole('patient'), (req, res) => {
+    const results = searchFormulary(formulary, String(req.query.q || '').slice(0, 100), MAX_MEDICINE_SUGGESTIONS);
+    res.json({ success: true, results });
+});
 
-    const prompt = `Provide accurate, patient-friendly information about the medicine: **${medicineName}**
+// Prompt for a patient-facing medicine monograph; `otherNames` are synonyms and brands
+function medicinePrompt(name, otherNames) {
+    return `Provide accurate, patient-friendly information about the medicine: **${name}**${otherNames.length > 0 ? ` (also known as ${otherNames.join(', ')})` : ''}
 
 Include the following sections:
 
@@ -857,221 +3046,847 @@ Signs that require immediate medical attention.
 Always remind to consult healthcare provider or pharmacist for personalized advice.
 
 Keep information accurate and helpful. Use simple language.`;
+}
 
-    const result = await generateWithFallback(genAI, groqClient, prompt, {
-        temperature: 0.3,
-        maxOutputTokens: 400
-    });
+app.post('/api/medicine-info', requireRole('patient'), wrapAsync(async (req, res) => {
+    if (req.body.medicineName !== undefined && typeof req.body.medicineName !== 'string') {
+        throw new AppError('Medicine name must be text', 400);
+    }
+    const medicineName = (req.body.medicineName || '').trim().slice(0, 100);
+
+    if (!medicineName) {
+        throw new AppError('Medicine name is required', 400);
+    }
 
-    console.log('✅ Medicine info retrieved');
+    const emergency = await screenForRedFlags(req, 'medicine-info', medicineName);
+    if (emergency) {
+        return res.json(emergency);
+    }
 
-    res.json({
-        info: result.text,
+    const resolved = resolveMedicine(formulary, medicineName);
+    if (!resolved) {
+        // Names outside the catalog still get an answer, generated fresh each time: only
+        // catalog medicines have a canonical name to cache and review the text under
+        const suggestions = searchFormulary(formulary, medicineName, 5);
+        console.log(`💊 Generating info for medicine not in catalog: ${medicineName}`);
+        return respondWithAI(req, res,
+            (onToken) => generateWithFallback(medicinePrompt(medicineName, []), {
+                temperature: 0.3,
+                maxOutputTokens: 400
+            }, null, onToken),
+            (result) => ({
+                info: result.text,
+                medicine: { id: null, name: medicineName, category: null, brands: [] },
+                matchedName: medicineName,
+                inCatalog: false,
+                suggestions,
+                cached: false,
+                reviewed: false,
+                generatedAt: new Date(),
+                success: true,
+                modelUsed: result.modelUsed,
+                provider: result.provider
+            }));
+    }
+    const { medicine } = resolved;
+
+    const toPayload = (monograph, cached) => ({
+        info: monograph.text,
+        medicine: { id: medicine.id, name: medicine.name, category: medicine.category, brands: medicine.brands },
+        matchedName: resolved.matchedName,
+        inCatalog: true,
+        cached,
+        reviewed: monograph.review.status === 'approved',
+        generatedAt: monograph.generatedAt,
         success: true,
-        modelUsed: result.modelUsed,
-        provider: result.provider
+        modelUsed: monograph.modelUsed,
+        provider: monograph.provider
     });
+
+    const cachedMonograph = await MedicineMonograph.findOne({ medicine: medicine.id });
+    if (isMonographUsable(cachedMonograph)) {
+        await MedicineMonograph.updateOne({ _id: cachedMonograph._id }, { $inc: { hits: 1 }, $set: { lastServedAt: new Date() } });
+        console.log(`💊 Medicine info for ${medicine.name} served from cache`);
+        return respondWithAI(req, res, async () => cachedMonograph, (monograph) => toPayload(monograph, true));
+    }
+
+    console.log(`💊 Generating info for: ${medicine.name} (asked for "${medicineName}")`);
+    const prompt = medicinePrompt(medicine.name, [...medicine.synonyms, ...medicine.brands]);
+
+    await respondWithAI(req, res,
+        (onToken) => generateWithFallback(prompt, {
+            temperature: 0.3,
+            maxOutputTokens: 400
+        }, null, onToken),
+        async (result) => {
+            const now = new Date();
+            // A new text needs a fresh review, whatever the previous one had
+            const monograph = await MedicineMonograph.findOneAndUpdate(
+                { medicine: medicine.id },
+                {
+                    $set: {
+                        name: medicine.name,
+                        text: result.text,
+                        modelUsed: result.modelUsed,
+                        provider: result.provider,
+                        generatedAt: now,
+                        expiresAt: new Date(now.getTime() + MONOGRAPH_TTL_MS),
+                        lastServedAt: now,
+                        review: { status: 'unreviewed' }
+                    },
+                    $inc: { hits: 1 }
+                },
+                { upsert: true, new: true }
+            );
+            console.log(`✅ Medicine info for ${medicine.name} generated and cached`);
+            return toPayload(monograph, false);
+        });
 }));
 
-// 5. Health Tips Generator
-app.post('/api/health-tips', requireLogin, wrapAsync(async (req, res) => {
-    const { category, userProfile } = req.body;
+// ==================== INTERACTION CHECKER ====================
+// Findings come only from the bundled rules (utils/interactions.js, config/drug-interactions.json).
+// The model is asked afterwards to explain those findings in plain words; it never adds or grades one,
+// and the findings are returned even when no model answers.
+const interactionData = loadInteractionData();
+const MAX_INTERACTION_MEDICINES = 20;
+console.log(`💊 Loaded ${interactionData.drugs.length} drugs and ${interactionData.interactions.length + interactionData.conditionInteractions.length} interaction rules`);
+
+// The profile's medical conditions plus chronic conditions the patient gave when booking
+async function patientConditionText(user) {
+    const bookings = await Appointment.find({ patient: user._id, chronicConditions: { $nin: [null, '', 'None', 'none'] } })
+        .select('chronicConditions')
+        .sort({ date: -1 })
+        .limit(5);
+    return [user.critical, ...bookings.map(b => b.chronicConditions)].filter(Boolean).join('\n');
+}
 
-    console.log('💡 Generating tips for:', category);
+function interactionExplanationPrompt(result) {
+    const findings = result.findings.map((f, i) => {
+        const subject = f.kind === 'drug-condition'
+            ? `${f.medicines[0]} (${f.drugs[0]}) with the condition "${f.condition}"`
+            : `${f.medicines.join(' + ')} (${f.drugs.join(' + ')})`;
+        return `${i + 1}. [${f.severity.toUpperCase()}] ${subject}: ${f.effect} Advice: ${f.advice}`;
+    }).join('\n');
+
+    return `A medicine interaction check found the following, from a fixed clinical rule set:
+
+${findings}
+
+Explain these findings to the patient in plain, calm language, most serious first.
+- Only talk about the findings listed. Do not add other interactions, medicines or conditions, and do not change any severity.
+- Never tell the patient to stop a prescribed medicine on their own; say who to talk to (their doctor or pharmacist) and how soon.
+- Keep it under 200 words, without headings.`;
+}
 
-    const profileStr = userProfile ? JSON.stringify(userProfile) : 'General audience';
+// Checks the patient's active medications plus an optional candidate medicine
+app.post('/api/interactions/check', requireRole('patient'), wrapAsync(async (req, res) => {
+    if (req.body.candidate !== undefined && typeof req.body.candidate !== 'string') {
+        throw new AppError('Candidate medicine must be text', 400);
+    }
+    const candidate = (req.body.candidate || '').trim().slice(0, 100);
+    const includeSaved = req.body.includeSaved !== false;
+
+    if (candidate) {
+        const emergency = await screenForRedFlags(req, 'interactions', candidate);
+        if (emergency) {
+            return res.json(emergency);
+        }
+    }
 
-    const prompt = `Generate 5 practical, evidence-based health tips for the category: **${category || 'General Health'}**
+    const user = await User.findById(req.session.user_id).select('critical medications');
+    const medicines = includeSaved
+        ? user.medications.filter(m => m.active).map(m => ({ name: [m.name, m.strength].filter(Boolean).join(' '), candidate: false }))
+        : [];
+    if (candidate) {
+        medicines.push({ name: candidate, candidate: true });
+    }
+    if (medicines.length === 0) {
+        throw new AppError('Enter a medicine to check, or add medicines to your list on your profile', 400);
+    }
+    if (medicines.length > MAX_INTERACTION_MEDICINES) {
+        throw new AppError(`At most ${MAX_INTERACTION_MEDICINES} medicines can be checked at once`, 400);
+    }
 
-User Profile: ${profileStr}
+    const result = checkInteractions(interactionData, {
+        medicines,
+        conditionText: await patientConditionText(user)
+    });
+    console.log(`💊 Interaction check: ${medicines.length} medicines, ${result.findings.length} findings (${result.highestSeverity || 'none'})`);
 
-**Format each tip as:**
-**Tip #X: [Catchy Title]**
-[Detailed explanation of the tip - 2-3 sentences]
-Why it matters: [Brief benefit explanation]
+    let explanation = null;
+    if (result.findings.length > 0) {
+        try {
+            const ai = await generateWithFallback(interactionExplanationPrompt(result), {
+                temperature: 0.2,
+                maxOutputTokens: 400
+            });
+            explanation = { text: ai.text, modelUsed: ai.modelUsed, provider: ai.provider };
+        } catch (err) {
+            console.error('❌ Interaction explanation failed:', err.message);
+        }
+    }
 
-Make tips:
-- Actionable and specific
-- Easy to implement in daily life
-- Based on scientific evidence
-- Motivating and positive
-- Culturally sensitive
+    res.json({
+        success: true,
+        ...result,
+        severityMeanings: interactionData.severities,
+        explanation
+    });
+}));
 
-Provide exactly 5 tips, numbered 1-5.`;
+// 5. Health Tips Generator (tailored to the stored profile; tips already given are not repeated)
+const HEALTH_TIPS_PER_REQUEST = 5;
+const HEALTH_PROFILE_LOOKBACK_MS = 90 * 24 * 60 * 60 * 1000;
+const TIP_HISTORY_MS = 180 * 24 * 60 * 60 * 1000;
+const MAX_TIP_HISTORY = 60;
+const HEALTH_PROFILE_FIELDS = 'age gender height weight critical medications healthTipSettings';
+
+// What the tips are written for, built from the patient's own records rather than the request
+async function patientHealthProfile(user) {
+    const since = new Date(Date.now() - HEALTH_PROFILE_LOOKBACK_MS);
+    const [conditionText, analyses, labReports] = await Promise.all([
+        patientConditionText(user),
+        SymptomAnalysis.find({ user: user._id, createdAt: { $gte: since } })
+            .select('symptoms conditions createdAt')
+            .sort({ createdAt: -1 })
+            .limit(3),
+        LabReport.find({ user: user._id, reportDate: { $gte: since } })
+            .select('results')
+            .sort({ reportDate: -1 })
+            .limit(3)
+    ]);
+
+    // Latest flag per analyte, out-of-range ones only
+    const flagged = new Map();
+    labReports.forEach(report => {
+        report.results.forEach(r => {
+            if (!flagged.has(r.analyte)) flagged.set(r.analyte, r);
+        });
+    });
+    const labFlags = [...flagged.values()]
+        .filter(r => r.flag && r.flag !== 'normal')
+        .slice(0, 10)
+        .map(r => `${r.name || r.analyte} (${r.flag})`);
+
+    return describeHealthProfile({
+        user,
+        medications: user.medications.filter(m => m.active),
+        conditionText,
+        analyses,
+        labFlags
+    });
+}
 
-    const result = await generateWithFallback(genAI, groqClient, prompt, {
-        temperature: 0.7,
-        maxOutputTokens: 500
+// Generates and saves `count` new tips for a patient. Recent tips are listed in the prompt so
+// they are not repeated (any that still are get dropped here), and the patient's feedback
+// tells the model what to lean towards. `user` needs HEALTH_PROFILE_FIELDS.
+async function generateHealthTips(user, category, { count = HEALTH_TIPS_PER_REQUEST, source = 'on-demand', feedDate } = {}) {
+    const [profile, past] = await Promise.all([
+        patientHealthProfile(user),
+        HealthTip.find({ user: user._id, createdAt: { $gte: new Date(Date.now() - TIP_HISTORY_MS) } })
+            .select('title fingerprint feedback')
+            .sort({ createdAt: -1 })
+            .limit(500)
+    ]);
+    const helpful = past.filter(t => t.feedback === 'helpful').slice(0, 5).map(t => t.title);
+    const unhelpful = past.filter(t => t.feedback === 'unhelpful').slice(0, 5).map(t => t.title);
+    const given = past.slice(0, MAX_TIP_HISTORY).map(t => t.title);
+
+    // A couple extra so there are enough left if some turn out to be repeats
+    const requested = count + 2;
+    const prompt = `Generate ${requested} practical, evidence-based health tips for the category: **${category}**
+
+**About the patient:**
+${profile}
+${helpful.length > 0 ? `\n**Tips the patient found helpful (give more in this spirit):** ${helpful.join('; ')}` : ''}${unhelpful.length > 0 ? `\n**Tips the patient did not find helpful (avoid this kind of advice):** ${unhelpful.join('; ')}` : ''}${given.length > 0 ? `\n**Tips already given (do not repeat or reword these):** ${given.join('; ')}` : ''}
+
+Respond with ONLY a JSON object in exactly this structure (no markdown, no code fences):
+${HEALTH_TIPS_FORMAT}
+
+Rules:
+- Tailor the tips to the patient's age, conditions and medicines, but never suggest changing or stopping a prescribed medicine.
+- Do not diagnose, and do not mention conditions the patient has not listed.
+- Make tips actionable, specific, easy to fit into daily life and based on scientific evidence.
+- Be motivating, positive and culturally sensitive.`;
+
+    const result = await generateJSONWithFallback(prompt, {
+        temperature: 0.8,
+        maxOutputTokens: 200 * requested
+    }, healthTipsValidator(count));
+
+    const known = new Set(past.map(t => t.fingerprint));
+    const fresh = [];
+    result.data.tips.forEach(tip => {
+        const fingerprint = tipFingerprint(tip.title);
+        if (!known.has(fingerprint) && fresh.length < count) {
+            known.add(fingerprint);
+            fresh.push({ ...tip, fingerprint });
+        }
     });
+    if (fresh.length === 0) {
+        throw new AppError('Could not come up with new tips right now. Please try another category.', 502);
+    }
+
+    const tips = await HealthTip.insertMany(fresh.map(tip => ({
+        user: user._id,
+        category,
+        ...tip,
+        source,
+        feedDate,
+        seenAt: source === 'on-demand' ? new Date() : undefined,
+        modelUsed: result.modelUsed,
+        provider: result.provider
+    })));
 
-    console.log('✅ Tips generated');
+    return { tips, modelUsed: result.modelUsed, provider: result.provider };
+}
+
+app.post('/api/health-tips', requireRole('patient'), wrapAsync(async (req, res) => {
+    const category = req.body.category || 'General Health';
+    if (!HEALTH_TIP_CATEGORIES.includes(category)) {
+        throw new AppError(`Category must be one of ${HEALTH_TIP_CATEGORIES.join(', ')}`, 400);
+    }
+
+    console.log('💡 Generating tips for:', category);
+
+    const user = await User.findById(req.session.user_id).select(HEALTH_PROFILE_FIELDS);
+    const result = await generateHealthTips(user, category);
 
+    console.log(`✅ ${result.tips.length} tips generated`);
     res.json({
-        tips: result.text,
+        tips: result.tips,
         success: true,
         modelUsed: result.modelUsed,
         provider: result.provider
     });
 }));
 
-// 6. Diet Plan Generator
-app.post('/api/diet-plan', requireLogin, wrapAsync(async (req, res) => {
-    const { goal, restrictions, preferences } = req.body;
+// The daily feed, newest first, with how many the patient hasn't opened yet
+app.get('/api/health-tips/feed', requireRole('patient'), wrapAsync(async (req, res) => {
+    const [tips, unseen, user] = await Promise.all([
+        HealthTip.find({ user: req.session.user_id, source: 'daily' })
+            .sort({ feedDate: -1, createdAt: 1 })
+            .limit(15),
+        HealthTip.countDocuments({ user: req.session.user_id, source: 'daily', seenAt: null }),
+        User.findById(req.session.user_id).select('healthTipSettings')
+    ]);
+
+    res.json({ success: true, tips, unseen, settings: user.healthTipSettings });
+}));
+
+app.post('/api/health-tips/seen', requireRole('patient'), wrapAsync(async (req, res) => {
+    const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).filter(id => mongoose.isValidObjectId(id));
+    const result = await HealthTip.updateMany(
+        { _id: { $in: ids }, user: req.session.user_id, seenAt: null },
+        { seenAt: new Date() }
+    );
+
+    res.json({ success: true, marked: result.modifiedCount });
+}));
+
+// `feedback` is helpful, unhelpful or null to clear it
+app.post('/api/health-tips/:id/feedback', requireRole('patient'), wrapAsync(async (req, res) => {
+    const feedback = req.body.feedback || null;
+    if (feedback !== null && !TIP_FEEDBACK.includes(feedback)) {
+        throw new AppError(`Feedback must be one of ${TIP_FEEDBACK.join(', ')}`, 400);
+    }
+
+    const tip = await HealthTip.findOneAndUpdate(
+        { _id: req.params.id, user: req.session.user_id },
+        feedback ? { feedback, feedbackAt: new Date() } : { $unset: { feedback: 1, feedbackAt: 1 } },
+        { new: true }
+    );
+    if (!tip) {
+        throw new AppError('Tip not found', 404);
+    }
+
+    res.json({ success: true, tip });
+}));
+
+app.put('/api/user/health-tip-settings', requireRole('patient'), wrapAsync(async (req, res) => {
+    const update = {};
+    if (req.body.daily !== undefined) {
+        update['healthTipSettings.daily'] = Boolean(req.body.daily);
+    }
+    if (req.body.category !== undefined) {
+        if (!HEALTH_TIP_CATEGORIES.includes(req.body.category)) {
+            throw new AppError(`Category must be one of ${HEALTH_TIP_CATEGORIES.join(', ')}`, 400);
+        }
+        update['healthTipSettings.category'] = req.body.category;
+    }
+
+    const user = await User.findByIdAndUpdate(req.session.user_id, update, { new: true }).select('healthTipSettings');
+    res.json({ success: true, settings: user.healthTipSettings });
+}));
+
+// ==================== DAILY HEALTH TIPS ====================
+// Patients who opt in get a few new tips each day once DAILY_TIPS_TIME (server local) has passed.
+// The job runs every 15 minutes on every instance; each patient is claimed by setting
+// healthTipSettings.lastFeedDate to today, so only one instance generates their feed, and a failed
+// generation releases the claim to be retried on the next run. Set HEALTH_TIPS_ENABLED=false to
+// keep an instance out of it.
+const DAILY_TIPS_TIME = process.env.DAILY_TIPS_TIME || '07:00';
+const DAILY_TIPS_COUNT = 3;
+const MAX_DAILY_FEEDS_PER_RUN = 20;
+// Patients who stop opening the feed stop getting new tips until they catch up
+const DAILY_TIPS_UNSEEN_LIMIT = 3 * DAILY_TIPS_COUNT;
+
+if (!TIME_RE.test(DAILY_TIPS_TIME)) {
+    throw new Error(`DAILY_TIPS_TIME must be HH:MM, got "${DAILY_TIPS_TIME}"`);
+}
+
+async function runDailyTips(now = new Date()) {
+    if (now.getHours() * 60 + now.getMinutes() < toMinutes(DAILY_TIPS_TIME)) {
+        return;
+    }
+    const today = formatLocalDate(now);
+    const failed = [];
+    let generated = 0;
+
+    for (let i = 0; i < MAX_DAILY_FEEDS_PER_RUN; i++) {
+        const user = await User.findOneAndUpdate(
+            { _id: { $nin: failed }, 'healthTipSettings.daily': true, 'healthTipSettings.lastFeedDate': { $ne: today } },
+            { 'healthTipSettings.lastFeedDate': today }
+        ).select(HEALTH_PROFILE_FIELDS);
+        if (!user) break;
+
+        const unseen = await HealthTip.countDocuments({ user: user._id, source: 'daily', seenAt: null });
+        if (unseen >= DAILY_TIPS_UNSEEN_LIMIT) continue;
+
+        try {
+            await generateHealthTips(user, user.healthTipSettings.category || 'General Health', {
+                count: DAILY_TIPS_COUNT,
+                source: 'daily',
+                feedDate: today
+            });
+            generated++;
+        } catch (err) {
+            console.error(`❌ Daily tips for user ${user._id} failed:`, err.message);
+            failed.push(user._id);
+            await User.updateOne({ _id: user._id }, { 'healthTipSettings.lastFeedDate': user.healthTipSettings.lastFeedDate });
+        }
+    }
 
-    console.log('🥗 Generating diet plan for goal:', goal);
+    if (generated > 0) {
+        console.log(`💡 Daily tips generated for ${generated} patient(s)`);
+    }
+}
 
-    const prompt = `Create a personalized one-day diet plan.
+function startDailyTips() {
+    if (process.env.HEALTH_TIPS_ENABLED === 'false') {
+        console.log('💤 Daily health tips disabled on this instance');
+        return;
+    }
+    cron.schedule('*/15 * * * *', () => {
+        runDailyTips().catch(err => console.error('❌ Daily tips run failed:', err.message));
+    }, { name: 'daily-tips', noOverlap: true });
+    console.log(`💡 Daily health tips scheduled for ${DAILY_TIPS_TIME}`);
+}
 
-**Goal:** ${goal || 'General health'}
-**Dietary Restrictions:** ${restrictions || 'None'}
-**Preferences:** ${preferences || 'None'}
+// 6. Diet Plan Generator (structured, built around calorie and macro targets computed from the profile)
+const DEFAULT_PLAN_DAYS = 7;
+
+// Profile targets and the patient's request, shared by the plan and single-meal prompts
+function dietPlanContext(plan) {
+    const { metrics } = plan;
+    return `**Patient:** ${metrics.age} years, ${metrics.gender}, ${metrics.heightCm} cm, ${metrics.weightKg} kg
+**BMI:** ${metrics.bmi} (${metrics.bmiCategory})
+**Activity level:** ${ACTIVITY_LEVELS[plan.activity].label}
+**Goal:** ${plan.goal}
+**Daily targets (already calculated, do not recalculate):** ${metrics.targetCalories} kcal, ${metrics.macros.protein} g protein, ${metrics.macros.carbs} g carbohydrates, ${metrics.macros.fat} g fat
+**Dietary Restrictions:** ${plan.restrictions || 'None'}
+**Preferences:** ${plan.preferences || 'None'}`;
+}
 
-Provide:
+app.post('/api/diet-plan', requireRole('patient'), wrapAsync(async (req, res) => {
+    const { goal = 'General Health', activity = 'light', restrictions, preferences } = req.body;
+    const days = req.body.days === undefined ? DEFAULT_PLAN_DAYS : Number(req.body.days);
 
-**BREAKFAST (7-9 AM):**
-- Meal description
-- Approximate calories
-- Key nutrients
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PLAN_DAYS) {
+        throw new AppError(`days must be a whole number from 1 to ${MAX_PLAN_DAYS}`, 400);
+    }
 
-**MID-MORNING SNACK (11 AM):**
-- Snack suggestion
-- Benefits
+    const emergency = await screenForRedFlags(req, 'diet-plan',
+        [restrictions, preferences].filter(v => typeof v === 'string').join('\n'));
+    if (emergency) {
+        return res.json(emergency);
+    }
 
-**LUNCH (1-2 PM):**
-- Meal description
-- Approximate calories
-- Key nutrients
+    const user = await User.findById(req.session.user_id).select('height weight age gender');
+    let metrics;
+    try {
+        metrics = computeBodyMetrics(user, { activity, goal });
+    } catch (error) {
+        throw new AppError(error.message, 400);
+    }
 
-**EVENING SNACK (4-5 PM):**
-- Snack suggestion
-- Benefits
+    console.log(`🥗 Generating ${days}-day diet plan for goal: ${goal} (${metrics.targetCalories} kcal)`);
+
+    const plan = { goal, activity, restrictions, preferences, metrics };
+    const prompt = `Create a personalized ${days}-day meal plan.
+
+${dietPlanContext(plan)}
+
+Respond with ONLY a JSON object in exactly this structure (no markdown, no code fences):
+${DIET_PLAN_FORMAT}
+
+Rules:
+- "days" must have exactly ${days} entries, numbered 1 to ${days}.
+- Every day has exactly ${MEAL_SLOTS.length} meals, in this order of "slot": ${MEAL_SLOTS.join(', ')}.
+- Each day's meals should add up to within 5% of the daily calorie target and close to the macro targets.
+- "calories" is kcal; "protein", "carbs" and "fat" are grams, for the whole portion.
+- Give each ingredient a "quantity" and a metric "unit" (g, ml) or "piece"; use the same item names across days so they can be added to a shopping list.
+- Vary the meals across days, never break the dietary restrictions, and keep dishes practical, affordable and easy to prepare.
+- Give 2 to 4 short practical tips, including one on hydration.`;
+
+    await respondWithAI(req, res,
+        (onToken, onReset) => generateJSONWithFallback(prompt, {
+            temperature: 0.6,
+            maxOutputTokens: 400 + 900 * days
+        }, dietPlanValidator(days), null, onToken, onReset),
+        async (result) => {
+            const saved = await DietPlan.create({
+                user: req.session.user_id,
+                ...plan,
+                ...result.data,
+                modelUsed: result.modelUsed,
+                provider: result.provider
+            });
+
+            console.log('✅ Diet plan generated');
+            return {
+                plan: saved,
+                totals: saved.days.map(dayTotals),
+                success: true,
+                modelUsed: result.modelUsed,
+                provider: result.provider
+            };
+        });
+}));
 
-**DINNER (7-8 PM):**
-- Meal description
-- Approximate calories
-- Key nutrients
+// 7. Prescription Reading (structured; the patient reviews the entries before saving them)
+const PRESCRIPTION_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+const MAX_PRESCRIPTION_FILES = 5;
+const MAX_PRESCRIPTION_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_PRESCRIPTION_TEXT_CHARS = 10000;
 
-**HYDRATION TIPS:**
-Water intake recommendations
+app.post('/api/read-prescription', requireRole('patient'), wrapAsync(async (req, res) => {
+    // `files` is [{ fileName, fileBase64 }]; a single `imageBase64` is still accepted
+    const files = Array.isArray(req.body.files)
+        ? req.body.files
+        : (req.body.imageBase64 ? [{ fileBase64: req.body.imageBase64 }] : []);
 
-**NUTRITIONAL SUMMARY:**
-Total approximate calories and macronutrient breakdown
+    if (files.length === 0) {
+        throw new AppError('At least one prescription image or PDF is required', 400);
+    }
+    if (files.length > MAX_PRESCRIPTION_FILES) {
+        throw new AppError(`Upload at most ${MAX_PRESCRIPTION_FILES} files at a time`, 400);
+    }
 
-Make it practical, affordable, and easy to prepare.`;
+    // Text-based PDFs are read locally; images and scanned PDFs go to the model as attachments
+    const images = [];
+    const pdfTexts = [];
+    files.forEach((file, i) => {
+        const name = (file && file.fileName) || `file ${i + 1}`;
+        if (!file || typeof file.fileBase64 !== 'string' || !file.fileBase64) {
+            throw new AppError(`${name} has no data`, 400);
+        }
+        const buffer = decodeBase64Upload(file.fileBase64);
+        if (buffer.length > MAX_PRESCRIPTION_FILE_BYTES) {
+            throw new AppError(`${name} is larger than 5 MB`, 413);
+        }
+        const fileType = detectFileType(buffer);
+        if (!fileType || !PRESCRIPTION_MIME_TYPES.includes(fileType.mimeType)) {
+            throw new AppError(`${name} is not a JPEG, PNG, WebP or PDF file`, 415);
+        }
 
-    const result = await generateWithFallback(genAI, groqClient, prompt, {
-        temperature: 0.6,
-        maxOutputTokens: 800
+        const text = fileType.mimeType === 'application/pdf' ? extractPdfText(buffer) : '';
+        if (text) {
+            pdfTexts.push(text.slice(0, MAX_PRESCRIPTION_TEXT_CHARS));
+        } else {
+            images.push({ data: buffer.toString('base64'), mimeType: fileType.mimeType });
+        }
     });
 
-    console.log('✅ Diet plan generated');
+    console.log(`📸 Reading prescription (${images.length} attachment(s), ${pdfTexts.length} PDF text(s))...`);
 
+    const prompt = `Extract every medicine from this prescription. It may span several ${images.length > 0 ? 'attached pages or images' : 'pages'}; combine them into one list.
+${pdfTexts.length > 0 ? `\n**Prescription text:**\n${pdfTexts.join('\n\n---\n\n')}\n` : ''}
+Respond with ONLY a JSON object in exactly this structure (no markdown, no code fences):
+${PRESCRIPTION_FORMAT}
+
+Rules:
+- Copy names, strengths, frequencies and durations as written; expand common abbreviations (OD, BD, TDS, HS, SOS) in "frequency" but do not guess missing values.
+- "confidence" is how sure you are that the entry was read correctly, from 0 (guess) to 1 (clearly legible).
+- Use an empty "medicines" array if no medicine can be read, and say why in "warnings".
+- List anything illegible or that should be checked with a pharmacist in "warnings".`;
+
+    const result = await generateJSONWithFallback(prompt, {
+        temperature: 0.1,
+        maxOutputTokens: 1500
+    }, validatePrescriptionExtraction, images.length > 0 ? images : null);
+
+    console.log(`✅ Prescription read: ${result.data.medicines.length} medicine(s)`);
     res.json({
-        plan: result.text,
+        ...result.data,
         success: true,
         modelUsed: result.modelUsed,
         provider: result.provider
     });
 }));
 
-// 7. Prescription Image Analysis
-app.post('/api/read-prescription', requireLogin, wrapAsync(async (req, res) => {
-    const { imageBase64 } = req.body;
+// ==================== LAB REPORTS ====================
+
+// Past reports, newest first (without the full text)
+app.get('/api/lab-reports', requireRole('patient'), wrapAsync(async (req, res) => {
+    const reports = await LabReport.find({ user: req.session.user_id })
+        .select('-text')
+        .sort({ reportDate: -1, createdAt: -1 })
+        .limit(100);
 
-    if (!imageBase64) {
-        throw new AppError('Image data is required', 400);
+    res.json({ success: true, reports });
+}));
+
+app.get('/api/lab-reports/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const report = await LabReport.findOne({ _id: req.params.id, user: req.session.user_id });
+    if (!report) {
+        throw new AppError('Report not found', 404);
     }
 
-    console.log('📸 Analyzing prescription image...');
+    res.json({ success: true, report });
+}));
+
+// The uploaded file, when there was one
+app.get('/api/lab-reports/:id/file', requireRole('patient'), wrapAsync(async (req, res) => {
+    const report = await LabReport.findOne({ _id: req.params.id, user: req.session.user_id });
+    if (!report || !report.source.storageKey) {
+        throw new AppError('File not found', 404);
+    }
 
-    const prompt = `Analyze this prescription image and extract all readable information.
+    const buffer = await storage.read(report.source.storageKey);
+    res.set('Content-Type', report.source.mimeType);
+    res.set('Content-Disposition', `inline; filename="${(report.source.originalName || 'report').replace(/"/g, '')}"`);
+    res.send(buffer);
+}));
 
-Provide:
+app.delete('/api/lab-reports/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const report = await LabReport.findOneAndDelete({ _id: req.params.id, user: req.session.user_id });
+    if (!report) {
+        throw new AppError('Report not found', 404);
+    }
+    if (report.source.storageKey) {
+        await storage.remove(report.source.storageKey);
+    }
 
-**MEDICINES PRESCRIBED:**
-List each medicine with:
-- Medicine name
-- Dosage (strength)
-- Frequency (how often to take)
-- Duration (how many days)
+    res.json({ success: true, message: 'Report deleted' });
+}));
 
-**SPECIAL INSTRUCTIONS:**
-Any additional notes or warnings
+// Every analyte across the patient's reports, oldest value first, for charting.
+// Values recorded in a unit that could not be converted form their own series.
+app.get('/api/lab-trends', requireRole('patient'), wrapAsync(async (req, res) => {
+    const reports = await LabReport.find({ user: req.session.user_id })
+        .select('reportDate reportType results')
+        .sort({ reportDate: 1 });
+
+    const series = new Map();
+    reports.forEach(report => {
+        report.results.forEach(r => {
+            const key = `${r.analyte}|${r.unit}`;
+            if (!series.has(key)) {
+                series.set(key, { analyte: r.analyte, name: r.name, group: r.group, unit: r.unit, points: [] });
+            }
+            series.get(key).points.push({
+                date: report.reportDate,
+                value: r.value,
+                flag: r.flag,
+                refLow: r.refLow,
+                refHigh: r.refHigh,
+                reportId: report._id
+            });
+        });
+    });
 
-**DOCTOR INFORMATION:**
-Doctor's name and credentials if visible
+    const analytes = [...series.values()].sort((a, b) =>
+        (a.group || '').localeCompare(b.group || '') || a.name.localeCompare(b.name));
 
-**DATE:**
-Prescription date if visible
+    res.json({ success: true, analytes });
+}));
 
-**IMPORTANT NOTES:**
-- Highlight any unclear or unreadable parts
-- Note if prescription needs verification
-- Remind to consult pharmacist if unsure
+// ==================== DIET PLANS ====================
 
-Be accurate and clear. If something is unclear, state it explicitly.`;
+// Saved plans, newest first (without the meals)
+app.get('/api/diet-plans', requireRole('patient'), wrapAsync(async (req, res) => {
+    const plans = await DietPlan.find({ user: req.session.user_id })
+        .select('goal activity restrictions preferences metrics.targetCalories createdAt')
+        .sort({ createdAt: -1 })
+        .limit(50);
 
-    const base64Data = imageBase64.includes(',')
-        ? imageBase64.split(',')[1]
-        : imageBase64;
+    res.json({ success: true, plans });
+}));
 
-    const imageParts = [
-        {
-            inlineData: {
-                data: base64Data,
-                mimeType: "image/jpeg"
-            }
+app.get('/api/diet-plans/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const plan = await DietPlan.findOne({ _id: req.params.id, user: req.session.user_id });
+    if (!plan) {
+        throw new AppError('Diet plan not found', 404);
+    }
+
+    res.json({ success: true, plan, totals: plan.days.map(dayTotals) });
+}));
+
+app.delete('/api/diet-plans/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const plan = await DietPlan.findOneAndDelete({ _id: req.params.id, user: req.session.user_id });
+    if (!plan) {
+        throw new AppError('Diet plan not found', 404);
+    }
+
+    res.json({ success: true, message: 'Diet plan deleted' });
+}));
+
+// Replaces one meal, keeping the rest of the day so the day stays near its targets
+app.post('/api/diet-plans/:id/days/:day/meals/:slot/regenerate', requireRole('patient'), wrapAsync(async (req, res) => {
+    const plan = await DietPlan.findOne({ _id: req.params.id, user: req.session.user_id });
+    if (!plan) {
+        throw new AppError('Diet plan not found', 404);
+    }
+    const day = plan.days.find(d => d.day === Number(req.params.day));
+    const mealIndex = day ? day.meals.findIndex(m => m.slot === req.params.slot) : -1;
+    if (mealIndex === -1) {
+        throw new AppError('Meal not found', 404);
+    }
+
+    const current = day.meals[mealIndex];
+    const others = day.meals.filter((_, i) => i !== mealIndex);
+    const remaining = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+    Object.keys(remaining).forEach(key => {
+        const target = key === 'calories' ? plan.metrics.targetCalories : plan.metrics.macros[key];
+        remaining[key] = Math.max(0, Math.round(target - others.reduce((sum, m) => sum + (m[key] || 0), 0)));
+    });
+
+    if (req.body.note) {
+        const emergency = await screenForRedFlags(req, 'diet-plan', String(req.body.note).slice(0, 300));
+        if (emergency) {
+            return res.json(emergency);
         }
-    ];
+    }
 
-    const result = await generateWithFallback(genAI, groqClient, prompt, {
-        temperature: 0.2,
-        maxOutputTokens: 500
-    }, imageParts);
+    console.log(`🥗 Regenerating ${current.slot} for day ${day.day} of diet plan ${plan._id}`);
+
+    const prompt = `Suggest a replacement ${current.slot} for one day of a meal plan.
 
-    console.log('✅ Prescription analyzed');
+${dietPlanContext(plan)}
+
+**Other meals that day:** ${others.map(m => `${m.slot}: ${m.name}`).join('; ')}
+**Meal being replaced (suggest something different):** ${current.name}
+**This meal should provide about:** ${remaining.calories} kcal, ${remaining.protein} g protein, ${remaining.carbs} g carbohydrates, ${remaining.fat} g fat
+${req.body.note ? `**Patient's request:** ${String(req.body.note).slice(0, 300)}
+` : ''}
+Respond with ONLY a JSON object in exactly this structure (no markdown, no code fences), with "slot" set to "${current.slot}":
+${MEAL_FORMAT}
+
+Rules:
+- "calories" is kcal; "protein", "carbs" and "fat" are grams, for the whole portion.
+- Give each ingredient a "quantity" and a metric "unit" (g, ml) or "piece".
+- Never break the dietary restrictions; keep the dish practical and easy to prepare.`;
+
+    const result = await generateJSONWithFallback(prompt, {
+        temperature: 0.8,
+        maxOutputTokens: 600
+    }, mealValidator(current.slot));
+
+    day.meals.set(mealIndex, { ...result.data, regeneratedAt: new Date() });
+    await plan.save();
 
     res.json({
-        analysis: result.text,
         success: true,
+        meal: day.meals[mealIndex],
+        totals: dayTotals(day),
         modelUsed: result.modelUsed,
         provider: result.provider
     });
 }));
 
-// ==================== UTILITY ROUTES ====================
+// Every ingredient in the plan, added up across meals and days
+app.get('/api/diet-plans/:id/grocery-list', requireRole('patient'), wrapAsync(async (req, res) => {
+    const plan = await DietPlan.findOne({ _id: req.params.id, user: req.session.user_id });
+    if (!plan) {
+        throw new AppError('Diet plan not found', 404);
+    }
 
-// Clear specific chat session
-app.post('/api/clear-chat', requireLogin, (req, res) => {
-    const { sessionId = 'default' } = req.body;
-    chatSessions.delete(sessionId);
-    console.log(`🗑️ Cleared chat session: ${sessionId}`);
-    res.json({
-        success: true,
-        message: 'Chat history cleared',
-        sessionId
-    });
-});
+    res.json({ success: true, days: plan.days.length, items: buildGroceryList(plan) });
+}));
+
+// ==================== CHAT HISTORY ====================
+
+// List the user's conversations, most recent first
+app.get('/api/conversations', requireRole('patient'), wrapAsync(async (req, res) => {
+    const conversations = await Conversation.find({ user: req.session.user_id })
+        .select('title updatedAt createdAt')
+        .sort({ updatedAt: -1 })
+        .limit(100);
+
+    res.json({ success: true, conversations });
+}));
 
-// Clear all chat sessions
-app.post('/api/clear-all-chats', requireLogin, (req, res) => {
-    const count = chatSessions.size;
-    chatSessions.clear();
-    console.log(`🗑️ Cleared all ${count} chat sessions`);
+// Resume a conversation
+app.get('/api/conversations/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const conversation = await Conversation.findOne({ _id: req.params.id, user: req.session.user_id });
+    if (!conversation) {
+        throw new AppError('Conversation not found', 404);
+    }
+
+    res.json({ success: true, conversation });
+}));
+
+// Rename a conversation
+app.patch('/api/conversations/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const title = (req.body.title || '').trim();
+    if (!title) {
+        throw new AppError('Title is required', 400);
+    }
+
+    const conversation = await Conversation.findOneAndUpdate(
+        { _id: req.params.id, user: req.session.user_id },
+        { title },
+        { new: true, runValidators: true }
+    ).select('title updatedAt createdAt');
+    if (!conversation) {
+        throw new AppError('Conversation not found', 404);
+    }
+
+    res.json({ success: true, conversation });
+}));
+
+// Delete a conversation
+app.delete('/api/conversations/:id', requireRole('patient'), wrapAsync(async (req, res) => {
+    const result = await Conversation.deleteOne({ _id: req.params.id, user: req.session.user_id });
+    if (result.deletedCount === 0) {
+        throw new AppError('Conversation not found', 404);
+    }
+
+    console.log(`🗑️ Deleted conversation: ${req.params.id}`);
+    res.json({ success: true, message: 'Conversation deleted' });
+}));
+
+// Delete all of the user's conversations
+app.post('/api/clear-all-chats', requireRole('patient'), wrapAsync(async (req, res) => {
+    const result = await Conversation.deleteMany({ user: req.session.user_id });
+    console.log(`🗑️ Cleared ${result.deletedCount} conversations`);
     res.json({
         success: true,
-        message: `Cleared ${count} chat sessions`
+        message: `Cleared ${result.deletedCount} conversations`
     });
-});
+}));
+
+// ==================== UTILITY ROUTES ====================
 
 // Model stats endpoint
-app.get('/api/model-stats', requireLogin, (req, res) => {
+app.get('/api/model-stats', requireRole('patient', 'admin'), (req, res) => {
     const stats = {};
-    modelStats.forEach((value, key) => {
+    modelBreakers.forEach((breaker, key) => {
         stats[key] = {
-            ...value,
-            successRate: value.attempts > 0 
-                ? ((value.attempts - value.failures) / value.attempts * 100).toFixed(2) + '%'
+            ...breaker.snapshot(),
+            successRate: breaker.attempts > 0 
+                ? ((breaker.attempts - breaker.failures) / breaker.attempts * 100).toFixed(2) + '%'
                 : 'N/A'
         };
     });
@@ -1079,7 +3894,8 @@ app.get('/api/model-stats', requireLogin, (req, res) => {
     res.json({
         success: true,
         models: stats,
-        availableModels: MODEL_PRIORITY.map(m => `${m.name} (${m.provider})`)
+        availableModels: MODEL_PRIORITY.map(m => `${m.name} (${m.provider})`),
+        currentOrder: rankModels(MODEL_PRIORITY, modelBreakers).map(m => m.name)
     });
 });
 
@@ -1089,9 +3905,10 @@ app.get('/api/health', (req, res) => {
         status: 'healthy',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        activeSessions: chatSessions.size,
         geminiConfigured: !!process.env.GEMINI_API_KEY,
         groqConfigured: !!process.env.GROQ_API_KEY,
+        aiConfig: path.relative(__dirname, aiConfig.file),
+        providers: [...aiProviders.keys()],
         fallbackEnabled: true,
         modelCount: MODEL_PRIORITY.length
     });
@@ -1103,26 +3920,45 @@ app.get('/api/test', (req, res) => {
     const groqConfigured = !!process.env.GROQ_API_KEY;
     res.json({
         status: 'Server is running',
-        aiProviders: 'Google Gemini + Groq (with fallback)',
+        aiProviders: `${[...aiProviders.keys()].join(' + ')} (with fallback)`,
         geminiConfigured,
         groqConfigured,
         timestamp: new Date().toISOString(),
         availableModels: MODEL_PRIORITY.map(m => `${m.name} (${m.provider})`),
         endpoints: [
             'POST /api/chat',
+            'GET /api/conversations',
             'POST /api/analyze-symptoms',
+            'GET /api/symptom-analyses',
+            'POST /api/triage',
             'POST /api/summarize-report',
+            'GET /api/lab-reports',
+            'GET /api/lab-trends',
+            'GET /api/medicines/search',
             'POST /api/medicine-info',
+            'POST /api/interactions/check',
             'POST /api/health-tips',
+            'GET /api/health-tips/feed',
             'POST /api/diet-plan',
+            'GET /api/diet-plans',
+            'GET /api/diet-plans/:id/grocery-list',
             'POST /api/read-prescription',
+            'GET /api/user/medications',
+            'GET /api/user/reminder-settings',
+            'GET /api/user/vitals',
+            'GET /api/user/vitals/summary',
+            'GET /api/messages/unread',
+            'GET /api/messages/stream',
+            'GET /api/appointments/:appointmentId/messages',
+            'POST /api/appointments/:appointmentId/call/token',
+            'GET /api/calls/:appointmentId/stream',
             'GET /api/model-stats'
         ]
     });
 });
 
 // ==================== PROFILE ROUTES ====================
-app.post("/about", requireLogin, async (req, res) => {
+app.post("/about", requireRole('patient'), async (req, res) => {
     try {
         const { name, age, gender, address, height, weight, bloodGroup, critical } = req.body;
         const userId = req.session.user_id;
@@ -1162,11 +3998,11 @@ app.post("/about", requireLogin, async (req, res) => {
     }
 });
 
-// app.get("/consult", requireLogin, (req, res) => {
+// app.get("/consult", requireRole('patient'), (req, res) => {
 //     res.render("consult");
 // });
 
-app.get("/about", requireLogin, async (req, res) => {
+app.get("/about", requireRole('patient'), async (req, res) => {
     try {
         const userId = req.session.user_id;
 
@@ -1190,18 +4026,18 @@ app.get("/about", requireLogin, async (req, res) => {
 
 // ==================== CONSULTATION ROUTES ====================
 
-app.get('/consult', requireLogin, wrapAsync(async (req, res) => {
-    const doctors = await Doctor.find({});
+app.get('/consult', requireRole('patient'), wrapAsync(async (req, res) => {
+    const doctors = await Doctor.find({ isVerified: true });
     // console.log(doctors);
     // res.send("consult");
     res.render('consult', { doctors });
 }));
 
-app.post('/consult/book', requireLogin, wrapAsync(async (req, res) => {
+app.post('/consult/book', requireRole('patient'), wrapAsync(async (req, res) => {
     const { name, age, gender, contact, problem, symptoms, date, time, bloodGroup, chronicConditions, address } = req.body;
     
-    // 1. Fetch all doctors
-    const allDoctors = await Doctor.find({});
+    // 1. Fetch all verified doctors
+    const allDoctors = await Doctor.find({ isVerified: true });
     
     // 2. Filter Logic (Server-side)
     const text = ((problem || '') + " " + (symptoms || '')).toLowerCase();
@@ -1232,34 +4068,60 @@ app.post('/consult/book', requireLogin, wrapAsync(async (req, res) => {
         });
     }
     
+    // Recent symptom analyses the patient can attach to the booking
+    const analyses = await SymptomAnalysis.find({ user: req.session.user_id })
+        .select('symptoms conditions severity urgency createdAt')
+        .sort({ createdAt: -1 })
+        .limit(10);
+
     // Pass data to view
     res.render('consult-book', {
         patient: { name, age, gender, contact, problem, symptoms, date, time, bloodGroup, chronicConditions, address },
         doctors: allDoctors,
-        recommended: recommended
+        recommended: recommended,
+        analyses
     });
 }));
-// app.post('/consult', requireLogin, wrapAsync(async (req, res) => {
+// app.post('/consult', requireRole('patient'), wrapAsync(async (req, res) => {
     
 // }));
 
+const MAX_ATTACHED_ANALYSES = 5;
+
 // Locate this section in your app.js (approx line 865)
-app.post('/api/consult/book', requireLogin, wrapAsync(async (req, res) => {
+app.post('/api/consult/book', requireRole('patient'), wrapAsync(async (req, res) => {
     // 1. Add 'time' to the destructured variables
     const { name, doctorId, date, time, reason, age, gender, contact, symptoms, bloodGroup, chronicConditions, address } = req.body;
     const patientName = name;
+    const analysisIds = Array.isArray(req.body.analysisIds) ? [...new Set(req.body.analysisIds.map(String))] : [];
 
     const doctor = await Doctor.findById(doctorId);
     if (!doctor) {
         throw new AppError('Doctor not found', 404);
     }
+    if (!doctor.isVerified) {
+        throw new AppError(`Dr. ${doctor.name} has not been verified yet and cannot take bookings`, 403);
+    }
+
+    await assertSlotBookable(doctor, date, time);
+
+    // Past symptom analyses the patient chose to share with the doctor
+    if (analysisIds.length > MAX_ATTACHED_ANALYSES) {
+        throw new AppError(`At most ${MAX_ATTACHED_ANALYSES} analyses can be attached`, 400);
+    }
+    if (!analysisIds.every(id => mongoose.isValidObjectId(id))) {
+        throw new AppError('analysisIds must be symptom analysis ids', 400);
+    }
+    const ownedAnalyses = await SymptomAnalysis.countDocuments({ _id: { $in: analysisIds }, user: req.session.user_id });
+    if (ownedAnalyses !== analysisIds.length) {
+        throw new AppError('Attached analysis not found', 404);
+    }
 
     // 2. Combine Date and Time strings
     // Format: "YYYY-MM-DD" + "T" + "HH:MM" -> "2025-12-29T14:30"
-    const combinedDateTime = new Date(`${date}T${time}`);
-
-    doctor.appointments.push({
-        patientId: req.session.user_id,
+    const appointment = new Appointment({
+        doctor: doctor._id,
+        patient: req.session.user_id,
         patientName,
         age,
         gender,
@@ -1268,13 +4130,16 @@ app.post('/api/consult/book', requireLogin, wrapAsync(async (req, res) => {
         bloodGroup,
         chronicConditions,
         address,
-        // 3. Save the combined datetime object
-        date: combinedDateTime, 
+        date: new Date(`${date}T${time}`),
         reason,
-        status: 'Pending'
+        symptomAnalyses: analysisIds,
+        status: 'Pending',
+        statusHistory: [{ status: 'Pending', changedBy: 'patient', note: 'Booked', changedAt: new Date() }]
     });
 
-    await doctor.save();
+    // 3. The unique slot index rejects a second patient racing for the same slot
+    await saveAppointment(appointment);
+    await notifyAppointment(appointment, 'appointment.booked', 'patient');
     console.log(`✅ Appointment booked for ${doctor.name} by ${patientName} at ${time}`);
     
     res.json({ success: true, message: 'Appointment booked successfully', doctorName: doctor.name });
@@ -1299,6 +4164,11 @@ app.use((err, req, res, next) => {
     const statusCode = err.statusCode || 500;
     const message = err.isOperational ? err.message : 'Something went wrong on the server.';
 
+    // API callers read `data.error`, so answer them in JSON
+    if (req.originalUrl.startsWith('/api/')) {
+        return res.status(statusCode).json({ success: false, error: message });
+    }
+
     res.status(statusCode).render('error', {
         title: statusCode === 404 ? 'Page Not Found' : 'Error',
         errorName: err.name || 'Error',
@@ -1316,7 +4186,7 @@ app.listen(PORT, () => {
     console.log(`🚀 Server URL: http://localhost:${PORT}`);
     console.log(`🔑 Gemini API:  ${process.env.GEMINI_API_KEY ? '✓ Configured' : '✗ Missing'}`);
     console.log(`🔑 Groq API:    ${process.env.GROQ_API_KEY ? '✓ Configured' : '✗ Missing'}`);
-    console.log('🤖 AI Providers: Google Gemini + Groq (Multi-Model Fallback)');
+    console.log(`🤖 AI Providers: ${[...aiProviders.keys()].join(' + ')} (Multi-Model Fallback)`);
     console.log('📋 Fallback Order:');
     MODEL_PRIORITY.forEach((m, i) => {
         console.log(`   ${i + 1}. ${m.name} (${m.provider})`);
@@ -1328,8 +4198,10 @@ app.listen(PORT, () => {
 process.on('SIGINT', () => {
     console.log('\n👋 Shutting down server...');
     console.log('\n📊 Final Model Stats:');
-    modelStats.forEach((stats, model) => {
+    modelBreakers.forEach((stats, model) => {
         console.log(`   ${model}: ${stats.attempts} attempts, ${stats.failures} failures, ${stats.rateLimitHits} rate limits`);
     });
-    process.exit(0);
+    syncModelStats()
+        .catch(err => console.error('❌ Could not save model stats:', err.message))
+        .finally(() => process.exit(0));
 });
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const hashPassword = require("./plugins/hashPassword.js");
+
+// Platform administrators; created only through scripts/create-admin.js
+const adminSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    password: {
+        type: String,
+        required: true,
+        select: false
+    },
+    lastLoginAt: Date
+}, { timestamps: true });
+
+adminSchema.plugin(hashPassword);
+
+module.exports = mongoose.model("Admin", adminSchema);
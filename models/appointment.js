@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+const appointmentSchema = new mongoose.Schema({
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Doctor",
+        required: true
+    },
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    patientName: String,
+    // Booking form data
+    age: Number,
+    gender: String,
+    contact: String,
+    symptoms: String,
+    bloodGroup: String,
+    chronicConditions: String,
+    address: {
+        type: String,
+        default: 'N/A'
+    },
+
+    date: {
+        type: Date,
+        required: true
+    },
+    reason: String,
+    // Saved symptom analyses the patient shared with the doctor when booking
+    symptomAnalyses: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SymptomAnalysis"
+    }],
+    status: {
+        type: String,
+        enum: ['Pending', 'Confirmed', 'Completed', 'Cancelled'],
+        default: 'Pending'
+    },
+    cancelReason: String,
+    // Every status change or reschedule, oldest first
+    statusHistory: [{
+        status: String,
+        changedBy: {
+            type: String,
+            enum: ['doctor', 'patient']
+        },
+        note: String,
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Video consultation: when both sides were first connected, and when the call last ended
+    call: {
+        startedAt: Date,
+        endedAt: Date,
+        endedBy: {
+            type: String,
+            enum: ['doctor', 'patient']
+        }
+    },
+
+    // Mirrors `date` while the booking holds its slot and is cleared on cancel,
+    // so the unique index below rejects a second booking of the same slot
+    activeSlot: Date
+}, { timestamps: true });
+
+appointmentSchema.pre('save', function () {
+    this.activeSlot = this.status === 'Cancelled' ? undefined : this.date;
+});
+
+appointmentSchema.index({ doctor: 1, date: 1 });
+appointmentSchema.index({ patient: 1, date: -1 });
+appointmentSchema.index({ status: 1, date: 1 });
+appointmentSchema.index(
+    { doctor: 1, activeSlot: 1 },
+    { unique: true, partialFilterExpression: { activeSlot: { $exists: true } } }
+);
+
+module.exports = mongoose.model("Appointment", appointmentSchema);
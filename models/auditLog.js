@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Append-only record of privileged decisions (who did what to which record, and why)
+const auditLogSchema = new mongoose.Schema({
+    actorRole: {
+        type: String,
+        enum: ['admin', 'doctor', 'patient', 'system'],
+        required: true
+    },
+    actorId: mongoose.Schema.Types.ObjectId,
+    actorName: String,
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: String,
+    targetId: mongoose.Schema.Types.ObjectId,
+    note: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
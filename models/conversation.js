@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One Dr. AI chat thread; `messages` is replayed to whichever model answers next
+const conversationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    title: {
+        type: String,
+        default: "New conversation",
+        trim: true,
+        maxlength: 100
+    },
+    messages: [{
+        role: {
+            type: String,
+            enum: ['user', 'assistant'],
+            required: true
+        },
+        content: {
+            type: String,
+            required: true
+        },
+        modelUsed: String,
+        provider: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, { timestamps: true });
+
+conversationSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("Conversation", conversationSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const { MEAL_SLOTS, ACTIVITY_LEVELS } = require("../utils/dietPlan.js");
+
+const mealSchema = new mongoose.Schema({
+    slot: { type: String, enum: MEAL_SLOTS, required: true },
+    name: { type: String, required: true },
+    description: String,
+    ingredients: [{
+        item: { type: String, required: true },
+        // null when the model gave no amount ("salt to taste")
+        quantity: Number,
+        unit: String,
+        _id: false
+    }],
+    calories: Number,
+    protein: Number,
+    carbs: Number,
+    fat: Number,
+    regeneratedAt: Date
+}, { _id: false });
+
+// A saved weekly (or shorter) meal plan. The metrics are computed from the patient's profile
+// when the plan is generated and kept with it, so later profile edits don't change old plans.
+const dietPlanSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // What the patient asked for
+    goal: {
+        type: String,
+        required: true
+    },
+    activity: {
+        type: String,
+        enum: Object.keys(ACTIVITY_LEVELS),
+        required: true
+    },
+    restrictions: String,
+    preferences: String,
+
+    metrics: {
+        heightCm: Number,
+        weightKg: Number,
+        age: Number,
+        gender: String,
+        bmi: Number,
+        bmiCategory: String,
+        bmr: Number,
+        tdee: Number,
+        targetCalories: Number,
+        macros: {
+            carbs: Number,
+            protein: Number,
+            fat: Number
+        }
+    },
+    days: [{
+        day: { type: Number, required: true },
+        meals: [mealSchema],
+        _id: false
+    }],
+    tips: [String],
+
+    modelUsed: String,
+    provider: String
+}, { timestamps: true });
+
+dietPlanSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("DietPlan", dietPlanSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const hashPassword = require("./plugins/hashPassword.js");
 
 const doctorSchema = new mongoose.Schema({
     name: {
@@ -13,6 +14,7 @@ const doctorSchema = new mongoose.Schema({
     password: {
         type: String,
         required: true,
+        select: false
     },
     specialization: {
         type: String,
@@ -26,6 +28,40 @@ const doctorSchema = new mongoose.Schema({
     city: String,
     state: String,
     available_time: String,
+
+    // Weekly bookable hours; "HH:MM" strings in server local time
+    availability: {
+        slotMinutes: {
+            type: Number,
+            default: 30,
+            min: 5,
+            max: 240
+        },
+        weekly: {
+            type: [{
+                day: { type: Number, min: 0, max: 6 }, // 0 = Sunday
+                start: String,
+                end: String,
+                breaks: [{ start: String, end: String, _id: false }],
+                _id: false
+            }],
+            default: () => [1, 2, 3, 4, 5].map(day => ({
+                day,
+                start: '09:00',
+                end: '17:00',
+                breaks: [{ start: '13:00', end: '14:00' }]
+            }))
+        },
+        // Date-specific overrides: a day off, or different hours
+        exceptions: [{
+            date: String, // YYYY-MM-DD
+            unavailable: { type: Boolean, default: false },
+            start: String,
+            end: String,
+            breaks: [{ start: String, end: String, _id: false }],
+            _id: false
+        }]
+    },
     
     // Verification Fields
     isVerified: {
@@ -36,33 +72,27 @@ const doctorSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    
-    appointments: [{
-        patientId: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: "User"
-        },
-        patientName: String,
-        // Added Form Data Fields
-        age: Number,
-        gender: String,
-        contact: String,
-        symptoms: String,
-        bloodGroup: String,
-        chronicConditions: String,
-        address: {
-            type: String,
-            default: 'N/A'
-        }, 
-        
-        date: Date,
-        reason: String,
-        status: {
+    registrationNumber: String,
+    verificationDocuments: [{
+        kind: {
             type: String,
-            enum: ['Pending', 'Completed', 'Cancelled'],
-            default: 'Pending'
+            enum: ['registration', 'degree', 'id'],
+            required: true
+        },
+        originalName: String,
+        mimeType: String,
+        size: Number,
+        storageKey: String,
+        uploadedAt: {
+            type: Date,
+            default: Date.now
         }
-    }]
+    }],
+    // Latest admin decision, shown to the doctor
+    verificationNote: String,
+    verificationDecidedAt: Date
 });
 
+doctorSchema.plugin(hashPassword);
+
 module.exports = mongoose.model("Doctor", doctorSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const { TIP_FEEDBACK } = require("../utils/healthTips.js");
+
+// One generated tip. Tips asked for on the health tips page are seen as soon as they are
+// returned; daily feed tips stay unseen until the patient opens the feed. Seen titles are
+// not repeated, and feedback steers what later generations focus on.
+const healthTipSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    category: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    tip: {
+        type: String,
+        required: true
+    },
+    why: String,
+    // See tipFingerprint() in utils/healthTips.js
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['on-demand', 'daily'],
+        default: 'on-demand'
+    },
+    // "YYYY-MM-DD" (server local date) for daily feed tips
+    feedDate: String,
+
+    seenAt: Date,
+    feedback: {
+        type: String,
+        enum: TIP_FEEDBACK
+    },
+    feedbackAt: Date,
+
+    modelUsed: String,
+    provider: String
+}, { timestamps: true });
+
+healthTipSchema.index({ user: 1, createdAt: -1 });
+healthTipSchema.index({ user: 1, source: 1, feedDate: -1 });
+
+module.exports = mongoose.model("HealthTip", healthTipSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+const { LAB_FLAGS } = require("../utils/labResults.js");
+
+// One extracted value; `value`/`unit` are in the analyte's canonical unit when it was recognised
+const labResultSchema = new mongoose.Schema({
+    analyte: { type: String, required: true },
+    name: String,
+    group: String,
+    value: { type: Number, required: true },
+    unit: String,
+    // As printed on the report
+    rawValue: Number,
+    rawUnit: String,
+    // "<" / ">" when the lab only reported a bound
+    qualifier: String,
+    refLow: Number,
+    refHigh: Number,
+    // 'report' when the range came from the report itself, 'default' from config/lab-analytes.json
+    refSource: String,
+    flag: { type: String, enum: LAB_FLAGS }
+}, { _id: false });
+
+// An uploaded or pasted lab report with its rule-based results and AI summary
+const labReportSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    reportType: String,
+    reportDate: {
+        type: Date,
+        default: Date.now
+    },
+    source: {
+        kind: { type: String, enum: ['paste', 'pdf', 'text-file'], default: 'paste' },
+        originalName: String,
+        mimeType: String,
+        // Key in the configured storage backend (see utils/storage.js)
+        storageKey: String
+    },
+    text: String,
+    results: [labResultSchema],
+    summary: String,
+    modelUsed: String,
+    provider: String
+}, { timestamps: true });
+
+labReportSchema.index({ user: 1, reportDate: -1 });
+
+module.exports = mongoose.model("LabReport", labReportSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Generated patient information for one catalog medicine (config/formulary.json), reused for
+// every lookup of that medicine until it expires. Admins review entries: approved ones no longer
+// expire, flagged ones are never served and are regenerated on the next lookup.
+const medicineMonographSchema = new mongoose.Schema({
+    // Formulary id, e.g. "paracetamol"
+    medicine: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    modelUsed: String,
+    provider: String,
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    hits: {
+        type: Number,
+        default: 0
+    },
+    lastServedAt: Date,
+
+    review: {
+        status: {
+            type: String,
+            enum: ['unreviewed', 'approved', 'flagged'],
+            default: 'unreviewed'
+        },
+        note: String,
+        reviewedBy: String,
+        reviewedAt: Date
+    }
+}, { timestamps: true });
+
+medicineMonographSchema.index({ 'review.status': 1, updatedAt: -1 });
+
+module.exports = mongoose.model("MedicineMonograph", medicineMonographSchema);
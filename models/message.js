@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// A message between the patient and the doctor of one appointment; the appointment is the thread
+const messageSchema = new mongoose.Schema({
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment",
+        required: true
+    },
+    // Copied from the appointment so unread counts don't need a join
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Doctor",
+        required: true
+    },
+    senderRole: {
+        type: String,
+        enum: ['patient', 'doctor'],
+        required: true
+    },
+    body: {
+        type: String,
+        default: ""
+    },
+    attachments: [{
+        originalName: String,
+        mimeType: String,
+        size: Number,
+        // Key in the configured storage backend (see utils/storage.js)
+        storageKey: { type: String, required: true }
+    }],
+    // Set when the other party opens the thread
+    readAt: Date
+}, { timestamps: true });
+
+messageSchema.index({ appointment: 1, createdAt: 1 });
+messageSchema.index({ patient: 1, senderRole: 1, readAt: 1 });
+messageSchema.index({ doctor: 1, senderRole: 1, readAt: 1 });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Persisted circuit-breaker state and usage counters for one AI model
+const modelStatSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: String,
+    state: {
+        type: String,
+        enum: ['closed', 'open', 'half-open'],
+        default: 'closed'
+    },
+    // Set by an admin; the fallback chain skips disabled models
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    consecutiveFailures: { type: Number, default: 0 },
+    openCount: { type: Number, default: 0 },
+    openUntil: Date,
+    avgLatencyMs: Number,
+    // Outcomes of the most recent calls, oldest first
+    recent: [Boolean],
+    attempts: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 },
+    rateLimitHits: { type: Number, default: 0 },
+    lastFailure: Date,
+    lastSuccess: Date,
+    lastError: String
+}, { timestamps: true });
+
+module.exports = mongoose.model("ModelStat", modelStatSchema);
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// Outbox of transactional emails. Requests only insert a rendered message here; the outbox
+// worker in app.js claims rows one at a time (status 'sending' with a lock) and retries failures,
+// so a slow or unreachable mail server never fails a booking or an admin decision.
+const notificationSchema = new mongoose.Schema({
+    // Template name from utils/notifications.js, e.g. "appointment.booked"
+    template: {
+        type: String,
+        required: true
+    },
+    recipientType: {
+        type: String,
+        enum: ['User', 'Doctor'],
+        required: true
+    },
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'recipientType',
+        required: true
+    },
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment"
+    },
+
+    // Rendered when queued, so the email reflects the moment it describes
+    to: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    sendAfter: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: Date,
+    sentAt: Date,
+    lastError: String
+}, { timestamps: true });
+
+notificationSchema.index({ status: 1, sendAfter: 1 });
+notificationSchema.index({ recipientType: 1, recipient: 1, createdAt: -1 });
+// Keep three months of history
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,34 @@
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+
+const SALT_ROUNDS = 12;
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$/;
+
+// Stores `password` as a bcrypt hash and adds `verifyPassword(candidate)`.
+// Accounts created before hashing still hold plaintext; they are rehashed
+// the first time their owner logs in successfully.
+module.exports = function hashPassword(schema) {
+    schema.pre('save', async function () {
+        if (!this.isModified('password')) return;
+        this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    });
+
+    schema.methods.verifyPassword = async function (candidate) {
+        if (!candidate || !this.password) return false;
+
+        if (BCRYPT_HASH.test(this.password)) {
+            return bcrypt.compare(candidate, this.password);
+        }
+
+        // Legacy plaintext record
+        const given = Buffer.from(String(candidate));
+        const stored = Buffer.from(this.password);
+        const matches = given.length === stored.length && crypto.timingSafeEqual(given, stored);
+        if (matches) {
+            // Same value as stored, so flag it for the pre-save hook to hash
+            this.markModified('password');
+            await this.save({ validateModifiedOnly: true });
+        }
+        return matches;
+    };
+};
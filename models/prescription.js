@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const medicineSchema = new mongoose.Schema({
+    drug: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    strength: { type: String, default: "" },
+    frequency: { type: String, default: "" },
+    duration: { type: String, default: "" },
+    instructions: { type: String, default: "" }
+}, { _id: false });
+
+const prescriptionSchema = new mongoose.Schema({
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Doctor",
+        required: true
+    },
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment",
+        required: true
+    },
+    diagnosis: { type: String, default: "" },
+    medicines: {
+        type: [medicineSchema],
+        validate: {
+            validator: (list) => list.length > 0,
+            message: "At least one medicine is required"
+        }
+    },
+    notes: { type: String, default: "" }
+}, { timestamps: true });
+
+prescriptionSchema.index({ patient: 1, createdAt: -1 });
+prescriptionSchema.index({ doctor: 1, appointmentId: 1 });
+
+module.exports = mongoose.model("Prescription", prescriptionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// A patient message that tripped the emergency red-flag rules before reaching a model
+const redFlagEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    route: {
+        type: String,
+        required: true
+    },
+    ruleIds: [String],
+    categories: [String],
+    // Start of the text that was screened, kept for review
+    excerpt: String,
+    // Set when the patient chose to continue to the AI after seeing the warning
+    continuedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+redFlagEventSchema.index({ user: 1, createdAt: -1 });
+redFlagEventSchema.index({ categories: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RedFlagEvent", redFlagEventSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// One reminder to send. Rows are created by every app instance as reminders fall due, but
+// `key` is unique, so each reminder exists once; instances then claim rows one at a time
+// (status 'sending' with a lock) so only one of them sends it.
+const reminderSchema = new mongoose.Schema({
+    // e.g. "dose:<medicationId>:<ISO time>" or "appointment:<appointmentId>:1h:<ISO date>"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    kind: {
+        type: String,
+        enum: ['dose', 'appointment'],
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Dose reminders: subdocument id in User.medications
+    medication: mongoose.Schema.Types.ObjectId,
+    // Appointment reminders
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment"
+    },
+    appointmentDate: Date,
+    offset: String,
+
+    dueAt: {
+        type: Date,
+        required: true
+    },
+    // Later than dueAt when held for quiet hours or retrying
+    sendAfter: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'skipped', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: Date,
+    channel: String,
+    sentAt: Date,
+    // Why it was skipped, or the last send error
+    note: String
+}, { timestamps: true });
+
+reminderSchema.index({ status: 1, sendAfter: 1 });
+reminderSchema.index({ user: 1, dueAt: -1 });
+// Keep three months of history
+reminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Reminder", reminderSchema);
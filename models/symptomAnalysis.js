@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { PROBABILITY_LEVELS, SEVERITY_LEVELS, URGENCY_LEVELS } = require("../utils/symptomAnalysis.js");
+
+// A saved /api/analyze-symptoms result; patients can attach these to a booking
+const symptomAnalysisSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // What the patient entered
+    symptoms: {
+        type: String,
+        required: true
+    },
+    age: Number,
+    gender: String,
+    duration: String,
+
+    conditions: [{
+        name: { type: String, required: true },
+        probability: { type: String, enum: PROBABILITY_LEVELS, required: true },
+        explanation: String,
+        _id: false
+    }],
+    severity: {
+        level: { type: String, enum: SEVERITY_LEVELS, required: true },
+        explanation: String
+    },
+    urgency: {
+        level: { type: String, enum: URGENCY_LEVELS, required: true },
+        explanation: String
+    },
+    recommendations: [String],
+    disclaimer: String,
+
+    // 'triage' when produced by a guided triage interview
+    source: {
+        type: String,
+        enum: ['quick', 'triage'],
+        default: 'quick'
+    },
+    modelUsed: String,
+    provider: String
+}, { timestamps: true });
+
+symptomAnalysisSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SymptomAnalysis", symptomAnalysisSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// One guided triage interview; a patient has at most one in progress at a time
+const triageSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in-progress', 'completed', 'abandoned'],
+        default: 'in-progress'
+    },
+    complaint: {
+        type: String,
+        required: true
+    },
+    // Question topics picked from the complaint (see utils/triage.js)
+    topics: [String],
+    // Copied from the User profile at the start so those questions are skipped
+    profile: {
+        age: Number,
+        gender: String,
+        conditions: String
+    },
+    answers: [{
+        questionId: String,
+        question: String,
+        value: mongoose.Schema.Types.Mixed,
+        answeredAt: {
+            type: Date,
+            default: Date.now
+        },
+        _id: false
+    }],
+    // Structured result once the interview is complete
+    analysis: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SymptomAnalysis"
+    }
+}, { timestamps: true });
+
+triageSessionSchema.index({ user: 1, status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("TriageSession", triageSessionSchema);
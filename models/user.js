@@ -1,6 +1,22 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
-const passportLocalMongoose = require('passport-local-mongoose');
+const hashPassword = require('./plugins/hashPassword.js');
+
+// An entry in the patient's own medication list (scanned from a prescription or added by hand)
+const MedicationSchema = new Schema({
+    name: { type: String, required: true, trim: true },
+    strength: { type: String, default: "" },
+    frequency: { type: String, default: "" },
+    duration: { type: String, default: "" },
+    instructions: { type: String, default: "" },
+    source: { type: String, enum: ["prescription-scan", "manual"], default: "manual" },
+    // Reading confidence (0-1) for scanned entries, as suggested before the patient reviewed it
+    confidence: { type: Number, min: 0, max: 1 },
+    active: { type: Boolean, default: true },
+    startDate: { type: Date, default: Date.now },
+    // "HH:MM" server local time; a dose reminder is sent at each one while the course lasts
+    reminderTimes: { type: [String], default: [] }
+}, { timestamps: true });
 
 const UserSchema = new Schema({
     name: {
@@ -16,7 +32,8 @@ const UserSchema = new Schema({
     },
     password: {
         type: String,
-        required: true
+        required: true,
+        select: false
     },
     age: { type: Number, default: null },
     gender: { type: String, enum: ["Male", "Female", "Other",'NA'], default: "NA" },
@@ -25,10 +42,28 @@ const UserSchema = new Schema({
     weight: { type: Number, default: null },
     bloodGroup: { type: String, default: "" },
     critical: { type: String, default: "" },
+    medications: [MedicationSchema],
+    reminderSettings: {
+        channel: { type: String, enum: ["email", "none"], default: "email" },
+        medication: { type: Boolean, default: true },
+        appointments: { type: Boolean, default: true },
+        // "HH:MM"; reminders due in between are held until the end (may wrap past midnight)
+        quietHours: {
+            start: { type: String, default: "" },
+            end: { type: String, default: "" }
+        }
+    },
+    healthTipSettings: {
+        // Opt-in daily tips feed, generated on a schedule
+        daily: { type: Boolean, default: false },
+        category: { type: String, default: "General Health" },
+        // "YYYY-MM-DD" of the last feed generated, claimed before generating so instances don't double up
+        lastFeedDate: { type: String, default: null }
+    },
 
   createdAt: { type: Date, default: Date.now }
 });
 
-UserSchema.plugin(passportLocalMongoose, { usernameField: 'email' });
+UserSchema.plugin(hashPassword);
 
 module.exports = mongoose.model('User', UserSchema);
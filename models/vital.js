@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const { LAB_FLAGS } = require("../utils/labResults.js");
+
+// One home reading of a vital sign (see config/vitals.json for the types), in the type's canonical unit
+const vitalSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Vital type id, e.g. "blood-pressure"
+    type: {
+        type: String,
+        required: true
+    },
+    recordedAt: {
+        type: Date,
+        required: true
+    },
+    // One per field of the type: a single "value", or "systolic" and "diastolic"
+    values: [{
+        key: { type: String, required: true },
+        value: { type: Number, required: true },
+        flag: { type: String, enum: LAB_FLAGS },
+        _id: false
+    }],
+    unit: String,
+    // e.g. "fasting" for blood glucose
+    context: String,
+    // Worst flag of the values
+    flag: { type: String, enum: LAB_FLAGS },
+    note: String,
+    source: {
+        type: String,
+        enum: ['manual', 'csv-import'],
+        default: 'manual'
+    }
+}, { timestamps: true });
+
+vitalSchema.index({ user: 1, type: 1, recordedAt: -1 });
+vitalSchema.index({ user: 1, recordedAt: -1 });
+
+module.exports = mongoose.model("Vital", vitalSchema);
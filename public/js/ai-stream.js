@@ -0,0 +1,55 @@
+// Posts `body` to an AI route and reads the Server-Sent Events reply.
+// `onToken(text)` runs for each chunk as it arrives; `onReset()` runs when the server drops
+// the text so far and another model starts over. Resolves with the final payload
+// (same shape as the route's JSON response) or `{ success: false, error }`.
+async function streamAI(url, body, onToken, onReset = () => {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'text/event-stream'
+        },
+        body: JSON.stringify(body)
+    });
+
+    // Validation and auth errors are answered before the stream opens
+    if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        return response.json();
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let final = { success: false, error: 'The response ended unexpectedly. Please try again.' };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const raw = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            raw.split('\n').forEach(line => {
+                if (line.startsWith('event: ')) event = line.slice(7);
+                else if (line.startsWith('data: ')) data += line.slice(6);
+            });
+            if (!data) continue;
+
+            const payload = JSON.parse(data);
+            if (event === 'token') {
+                onToken(payload.text);
+            } else if (event === 'reset') {
+                onReset();
+            } else if (event === 'done' || event === 'error') {
+                final = payload;
+            }
+        }
+    }
+
+    return final;
+}
@@ -0,0 +1,7 @@
+// Escapes text for use in innerHTML, including inside quoted attribute values.
+// null and undefined become an empty string.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
@@ -0,0 +1,63 @@
+// Small dependency-free SVG line chart for value histories (lab results, vitals).
+// `points` are [{ date, value, flag? }] in time order; `options.low`/`options.high` draw a
+// shaded reference band. Returns an SVG string to drop into innerHTML.
+const CHART_FLAG_COLORS = {
+    'critical-low': '#c0392b',
+    'low': '#e67e22',
+    'normal': '#27ae60',
+    'high': '#e67e22',
+    'critical-high': '#c0392b'
+};
+
+function renderLineChart(points, options = {}) {
+    const width = options.width || 320;
+    const height = options.height || 140;
+    const pad = { top: 12, right: 12, bottom: 24, left: 44 };
+    if (points.length === 0) return '';
+
+    const times = points.map(p => new Date(p.date).getTime());
+    const values = points.map(p => p.value);
+    const bandValues = [options.low, options.high].filter(v => v !== null && v !== undefined);
+    let minY = Math.min(...values, ...bandValues);
+    let maxY = Math.max(...values, ...bandValues);
+    if (minY === maxY) { minY -= 1; maxY += 1; }
+    const spanY = maxY - minY;
+    minY -= spanY * 0.1;
+    maxY += spanY * 0.1;
+    const minT = Math.min(...times);
+    const spanT = Math.max(...times) - minT || 1;
+
+    const x = (t) => points.length === 1
+        ? pad.left + (width - pad.left - pad.right) / 2
+        : pad.left + ((t - minT) / spanT) * (width - pad.left - pad.right);
+    const y = (v) => pad.top + (1 - (v - minY) / (maxY - minY)) * (height - pad.top - pad.bottom);
+    const fmt = (v) => Number(v.toFixed(2)).toString();
+    const day = (t) => new Date(t).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: '2-digit' });
+
+    let band = '';
+    if (bandValues.length > 0) {
+        const top = y(options.high ?? maxY);
+        const bottom = y(options.low ?? minY);
+        band = `<rect x="${pad.left}" y="${top}" width="${width - pad.left - pad.right}" height="${Math.max(0, bottom - top)}" fill="#d4edda" opacity="0.6"></rect>`;
+    }
+
+    const line = points.map((p, i) => `${x(times[i])},${y(p.value)}`).join(' ');
+    const dots = points.map((p, i) => `
+        <circle cx="${x(times[i])}" cy="${y(p.value)}" r="4" fill="${CHART_FLAG_COLORS[p.flag] || '#667eea'}">
+            <title>${day(times[i])}: ${fmt(p.value)} ${options.unit || ''}</title>
+        </circle>`).join('');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" width="100%" role="img" style="max-width:${width}px;">
+            ${band}
+            <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="#ccc"></line>
+            <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#ccc"></line>
+            <text x="${pad.left - 6}" y="${pad.top + 4}" font-size="10" text-anchor="end" fill="#777">${fmt(maxY)}</text>
+            <text x="${pad.left - 6}" y="${height - pad.bottom}" font-size="10" text-anchor="end" fill="#777">${fmt(minY)}</text>
+            <text x="${pad.left}" y="${height - 6}" font-size="10" fill="#777">${day(Math.min(...times))}</text>
+            <text x="${width - pad.right}" y="${height - 6}" font-size="10" text-anchor="end" fill="#777">${day(Math.max(...times))}</text>
+            <polyline points="${line}" fill="none" stroke="#667eea" stroke-width="2"></polyline>
+            ${dots}
+        </svg>
+    `;
+}
@@ -0,0 +1,66 @@
+// Creates an admin account, or resets an existing admin's password.
+//
+// Usage: node scripts/create-admin.js --email admin@example.com --name "Site Admin"
+//
+// The password is read from ADMIN_PASSWORD if set, otherwise prompted for,
+// so it never has to appear in shell history. There is no public admin signup.
+require('dotenv').config();
+const readline = require("readline");
+const mongoose = require("mongoose");
+const Admin = require("../models/admin.js");
+const { mongoUrl } = require("../utils/db.js");
+
+const dbUrl = mongoUrl();
+const MIN_PASSWORD_LENGTH = 10;
+
+function getArg(name) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+// Prompt without echoing what is typed
+function promptHidden(question) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl._writeToOutput = (s) => {
+            if (s.includes(question)) rl.output.write(s);
+        };
+        rl.question(question, (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function createAdmin() {
+    const email = getArg('email');
+    const name = getArg('name') || 'Admin';
+    if (!email) {
+        throw new Error('--email is required');
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await promptHidden('Admin password: ');
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    await mongoose.connect(dbUrl);
+
+    const existing = await Admin.findOne({ email });
+    if (existing) {
+        existing.password = password;
+        await existing.save();
+        console.log(`🔁 Password reset for admin ${email}`);
+    } else {
+        await Admin.create({ name, email, password });
+        console.log(`✅ Admin created: ${name} <${email}>`);
+    }
+}
+
+createAdmin()
+    .catch((err) => {
+        console.error('❌ Could not create admin:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
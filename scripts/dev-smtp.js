@@ -0,0 +1,90 @@
+// Minimal local SMTP server for development: accepts every message and saves it as an .eml file.
+//
+// Usage: node scripts/dev-smtp.js [--port 2525] [--dir dev-mail]
+//
+// Point the app at it with SMTP_URL=smtp://127.0.0.1:2525. No TLS or authentication; do not expose it.
+const net = require("net");
+const fs = require("fs");
+const path = require("path");
+
+function getArg(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i !== -1 ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(getArg('port', process.env.DEV_SMTP_PORT || 2525));
+const outDir = path.resolve(getArg('dir', path.join(__dirname, "..", "dev-mail")));
+fs.mkdirSync(outDir, { recursive: true });
+
+function saveMessage(envelope, data) {
+    const file = path.join(outDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`);
+    fs.writeFileSync(file, data);
+    const subject = (data.match(/^Subject: (.*)$/mi) || [])[1] || '(no subject)';
+    console.log(`📨 ${envelope.to.join(', ')} | ${subject} -> ${path.basename(file)}`);
+}
+
+const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let data = [];
+    let envelope = { from: null, to: [] };
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 localhost dev-smtp ready');
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let newline;
+        while ((newline = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 2);
+
+            if (inData) {
+                if (line === '.') {
+                    inData = false;
+                    saveMessage(envelope, data.join('\r\n') + '\r\n');
+                    data = [];
+                    envelope = { from: null, to: [] };
+                    reply('250 OK: message saved');
+                } else {
+                    // Undo dot-stuffing
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO') {
+                reply('250-localhost');
+                reply('250 8BITMIME');
+            } else if (command === 'HELO') {
+                reply('250 localhost');
+            } else if (command === 'MAIL') {
+                envelope.from = line.slice(10).trim();
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                envelope.to.push(line.slice(8).trim().replace(/^<|>$/g, ''));
+                reply('250 OK');
+            } else if (command === 'DATA') {
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'RSET') {
+                envelope = { from: null, to: [] };
+                reply('250 OK');
+            } else if (command === 'NOOP') {
+                reply('250 OK');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    });
+
+    socket.on('error', () => {});
+});
+
+server.listen(port, '127.0.0.1', () => {
+    console.log(`📬 Dev SMTP server on 127.0.0.1:${port}, saving mail to ${outDir}`);
+});
@@ -0,0 +1,122 @@
+// Moves bookings embedded in `doctors.appointments` into the `appointments` collection.
+//
+// Usage: node scripts/migrate-appointments.js [--keep-embedded]
+//
+// Each booking keeps its original _id, so prescriptions written against it stay linked.
+// Bookings saved without a date get the time they were made, since the model requires one.
+// Safe to re-run: bookings that already exist in the collection are left untouched.
+// Pass --keep-embedded to leave the old arrays on the doctor documents.
+require('dotenv').config();
+const mongoose = require("mongoose");
+const Doctor = require("../models/doctor.js");
+const Appointment = require("../models/appointment.js");
+const { mongoUrl } = require("../utils/db.js");
+
+const dbUrl = mongoUrl();
+const keepEmbedded = process.argv.includes('--keep-embedded');
+
+const hasDate = (a) => a.date instanceof Date && !isNaN(a.date);
+
+function toAppointmentDoc(doctorId, a) {
+    const status = a.status || 'Pending';
+    const date = hasDate(a) ? a.date : a._id.getTimestamp();
+    const doc = {
+        _id: a._id,
+        doctor: doctorId,
+        patient: a.patientId,
+        patientName: a.patientName,
+        age: a.age,
+        gender: a.gender,
+        contact: a.contact,
+        symptoms: a.symptoms,
+        bloodGroup: a.bloodGroup,
+        chronicConditions: a.chronicConditions,
+        address: a.address || 'N/A',
+        date,
+        reason: a.reason,
+        status,
+        cancelReason: a.cancelReason,
+        statusHistory: a.statusHistory || [],
+        createdAt: a._id.getTimestamp(),
+        updatedAt: new Date()
+    };
+    // Same rule as the model's pre('save') hook
+    if (status !== 'Cancelled') {
+        doc.activeSlot = date;
+    }
+    return doc;
+}
+
+async function migrate() {
+    await mongoose.connect(dbUrl);
+    // Host and database only: the URL may carry credentials
+    console.log(`Connected to ${mongoose.connection.host}/${mongoose.connection.name}`);
+
+    // Unique slot index must exist before inserting so clashes are detected
+    await Appointment.createIndexes();
+
+    const stats = { doctors: 0, moved: 0, existing: 0, clashes: 0, undated: 0, invalid: 0 };
+    const cursor = Doctor.collection.find({ 'appointments.0': { $exists: true } });
+
+    for await (const doctor of cursor) {
+        stats.doctors++;
+        let skipped = 0;
+
+        for (const embedded of doctor.appointments) {
+            const doc = toAppointmentDoc(doctor._id, embedded);
+
+            if (await Appointment.collection.findOne({ _id: doc._id })) {
+                stats.existing++;
+                continue;
+            }
+
+            // Inserted raw to keep _id and timestamps, so check it against the schema first
+            const invalid = new Appointment(doc).validateSync();
+            if (invalid) {
+                stats.invalid++;
+                skipped++;
+                console.log(`⚠️ ${doc._id}: not migrated, ${invalid.message}`);
+                continue;
+            }
+            if (!hasDate(embedded)) {
+                stats.undated++;
+                console.log(`⚠️ ${doc._id}: had no date, using its booking time ${doc.date.toISOString()}`);
+            }
+
+            try {
+                await Appointment.collection.insertOne(doc);
+            } catch (err) {
+                if (err.code !== 11000) throw err;
+                // Legacy data already double-booked this slot; keep the booking without the slot lock
+                delete doc.activeSlot;
+                await Appointment.collection.insertOne(doc);
+                stats.clashes++;
+                console.log(`⚠️ ${doc._id}: overlaps another booking of Dr. ${doctor.name}, kept without slot lock`);
+            }
+            stats.moved++;
+        }
+
+        // Anything not migrated stays in the embedded array to be fixed by hand
+        if (!keepEmbedded && skipped === 0) {
+            await Doctor.collection.updateOne({ _id: doctor._id }, { $unset: { appointments: "" } });
+        }
+        console.log(`✅ Dr. ${doctor.name}: ${doctor.appointments.length} bookings processed`);
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Doctors processed:     ${stats.doctors}`);
+    console.log(`Bookings moved:        ${stats.moved}`);
+    console.log(`Already migrated:      ${stats.existing}`);
+    console.log(`Legacy double-bookings: ${stats.clashes}`);
+    console.log(`Dated from booking time: ${stats.undated}`);
+    console.log(`Invalid, not migrated: ${stats.invalid}${stats.invalid > 0 ? ' (their doctors keep the embedded array)' : ''}`);
+    console.log(`Embedded arrays:       ${keepEmbedded ? 'kept' : 'removed'}`);
+    console.log('='.repeat(60));
+}
+
+migrate()
+    .catch((err) => {
+        console.error('❌ Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,336 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const Groq = require('groq-sdk');
+
+// Every AI provider implements one async method:
+//   generate({ model, prompt, system, history, images, config, onToken }) -> text
+//     prompt   the new user turn
+//     system   optional instructions placed ahead of the conversation
+//     history  optional earlier turns [{ role: 'user' | 'assistant', content }]
+//     images   optional [{ data: base64, mimeType }]; only sent when `supportsImages` is true,
+//              and PDFs (application/pdf) only when `supportsPdf` is true as well
+//     config   { temperature, maxOutputTokens, topK, topP } (unset keys use the backend default)
+//     onToken  when given, the answer is streamed and each chunk is passed to it
+// Providers are declared in the AI config file and looked up by name from each model entry.
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "config", "ai.json");
+
+// Rate limits and exhausted quotas all look different per backend; treat them the same
+function isRateLimitError(error) {
+    if (error?.status === 429) return true;
+    return /RESOURCE_EXHAUSTED|\b429\b|quota|rate limit/i.test(error?.message || '');
+}
+
+// Passes each chunk's text to `onToken` and returns the assembled answer
+async function pipeTokens(stream, extractText, onToken) {
+    let text = '';
+    for await (const chunk of stream) {
+        const token = extractText(chunk);
+        if (!token) continue;
+        text += token;
+        onToken(token);
+    }
+    return text;
+}
+
+// OpenAI-style message list shared by Groq, OpenAI-compatible servers and Ollama
+function toMessages({ system, history = [], prompt }) {
+    const messages = [];
+    if (system) messages.push({ role: "system", content: system });
+    history.forEach(m => messages.push({ role: m.role, content: m.content }));
+    messages.push({ role: "user", content: prompt });
+    return messages;
+}
+
+async function assertOk(response) {
+    if (response.ok) return;
+    const body = await response.text().catch(() => '');
+    const error = new Error(`${response.status} ${response.statusText}: ${body.slice(0, 300)}`);
+    error.status = response.status;
+    throw error;
+}
+
+// Yields the parsed `data:` payloads of a Server-Sent Events response
+async function* readEventStream(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+            yield JSON.parse(data);
+        }
+    }
+}
+
+// Yields one parsed object per line of a newline-delimited JSON response
+async function* readJsonLines(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line) yield JSON.parse(line);
+        }
+    }
+    if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+class GeminiProvider {
+    constructor({ apiKey }) {
+        this.client = new GoogleGenerativeAI(apiKey);
+        this.supportsImages = true;
+        this.supportsPdf = true;
+    }
+
+    async generate({ model, prompt, system, history = [], images, config, onToken }) {
+        const generativeModel = this.client.getGenerativeModel({ model, generationConfig: config });
+
+        // Gemma models reject system instructions, so the persona goes in as an opening exchange
+        if (system || history.length > 0) {
+            const chat = generativeModel.startChat({
+                history: [
+                    ...(system ? [
+                        { role: "user", parts: [{ text: system }] },
+                        { role: "model", parts: [{ text: "Understood." }] }
+                    ] : []),
+                    ...history.map(m => ({
+                        role: m.role === 'assistant' ? 'model' : 'user',
+                        parts: [{ text: m.content }]
+                    }))
+                ]
+            });
+            if (onToken) {
+                const result = await chat.sendMessageStream(prompt);
+                return pipeTokens(result.stream, chunk => chunk.text(), onToken);
+            }
+            const result = await chat.sendMessage(prompt);
+            return result.response.text();
+        }
+
+        const input = images
+            ? [prompt, ...images.map(image => ({ inlineData: image }))]
+            : prompt;
+        if (onToken) {
+            const result = await generativeModel.generateContentStream(input);
+            return pipeTokens(result.stream, chunk => chunk.text(), onToken);
+        }
+        const result = await generativeModel.generateContent(input);
+        return result.response.text();
+    }
+}
+
+class GroqProvider {
+    constructor({ apiKey }) {
+        this.client = new Groq({ apiKey });
+        this.supportsImages = false;
+    }
+
+    async generate({ model, config, onToken, ...request }) {
+        const body = {
+            model,
+            messages: toMessages(request),
+            temperature: config.temperature,
+            max_tokens: config.maxOutputTokens,
+        };
+        if (onToken) {
+            const stream = await this.client.chat.completions.create({ ...body, stream: true });
+            return pipeTokens(stream, chunk => chunk.choices[0]?.delta?.content, onToken);
+        }
+        const completion = await this.client.chat.completions.create(body);
+        return completion.choices[0]?.message?.content || '';
+    }
+}
+
+// Any server exposing POST {baseUrl}/chat/completions (OpenAI, vLLM, LM Studio, ...)
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, supportsImages = false }) {
+        if (!baseUrl) throw new Error('OpenAI-compatible provider needs a baseUrl');
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.apiKey = apiKey;
+        this.supportsImages = supportsImages;
+    }
+
+    async generate({ model, config, onToken, images, ...request }) {
+        const messages = toMessages(request);
+        if (images) {
+            messages[messages.length - 1].content = [
+                { type: "text", text: request.prompt },
+                ...images.map(image => ({
+                    type: "image_url",
+                    image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+                }))
+            ];
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model,
+                messages,
+                temperature: config.temperature,
+                max_tokens: config.maxOutputTokens,
+                stream: !!onToken
+            })
+        });
+        await assertOk(response);
+
+        if (onToken) {
+            return pipeTokens(readEventStream(response), chunk => chunk.choices?.[0]?.delta?.content, onToken);
+        }
+        const completion = await response.json();
+        return completion.choices?.[0]?.message?.content || '';
+    }
+}
+
+// Ollama-style local server: POST {baseUrl}/api/chat, streamed as JSON lines
+class OllamaProvider {
+    constructor({ baseUrl = "http://127.0.0.1:11434", supportsImages = false }) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.supportsImages = supportsImages;
+    }
+
+    async generate({ model, config, onToken, images, ...request }) {
+        const messages = toMessages(request);
+        if (images) {
+            messages[messages.length - 1].images = images.map(image => image.data);
+        }
+
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model,
+                messages,
+                stream: !!onToken,
+                options: {
+                    temperature: config.temperature,
+                    num_predict: config.maxOutputTokens,
+                    top_k: config.topK,
+                    top_p: config.topP
+                }
+            })
+        });
+        await assertOk(response);
+
+        if (onToken) {
+            return pipeTokens(readJsonLines(response), chunk => chunk.message?.content, onToken);
+        }
+        const result = await response.json();
+        return result.message?.content || '';
+    }
+}
+
+// Offline stand-in: answers are derived only from the input, so the same request
+// always gets the same reply. `fixtures` ([{ match: regex source, reply: string | object }])
+// return canned replies for prompts that need a particular shape, such as JSON routes.
+// `failWith` makes every call throw that message, which is handy for exercising the fallback chain.
+class MockProvider {
+    constructor({ fixtures = [], failWith = null, latencyMs = 0 } = {}) {
+        this.fixtures = fixtures.map(({ match, reply }) => ({
+            pattern: new RegExp(match, 'i'),
+            reply: typeof reply === 'string' ? reply : JSON.stringify(reply, null, 2)
+        }));
+        this.failWith = failWith;
+        this.latencyMs = latencyMs;
+        this.supportsImages = true;
+        this.supportsPdf = true;
+    }
+
+    reply({ model, prompt, history = [], images }) {
+        const fixture = this.fixtures.find(f => f.pattern.test(prompt));
+        if (fixture) return fixture.reply;
+
+        const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+        const topic = prompt.trim().split('\n')[0].slice(0, 80);
+        return [
+            `[mock:${model}] Response ${digest} (turn ${Math.floor(history.length / 2) + 1}${images ? `, ${images.length} image(s)` : ''}).`,
+            `You asked about: ${topic}`,
+            'This is placeholder text from the offline mock provider and is not medical advice.'
+        ].join('\n');
+    }
+
+    async generate(request) {
+        if (this.latencyMs) {
+            await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+        }
+        if (this.failWith) {
+            throw new Error(this.failWith);
+        }
+
+        const text = this.reply(request);
+        if (request.onToken) {
+            text.split(/(?<=\s)/).forEach(token => request.onToken(token));
+        }
+        return text;
+    }
+}
+
+const providerTypes = {
+    gemini: (options) => new GeminiProvider(options),
+    groq: (options) => new GroqProvider(options),
+    openai: (options) => new OpenAICompatibleProvider(options),
+    ollama: (options) => new OllamaProvider(options),
+    mock: (options) => new MockProvider(options)
+};
+
+// Secrets stay in the environment; the config names the variable with `apiKeyEnv`
+function createProvider({ type, apiKeyEnv, ...options }) {
+    if (!providerTypes[type]) {
+        throw new Error(`Unknown AI provider type: ${type}`);
+    }
+    return providerTypes[type]({
+        ...options,
+        apiKey: apiKeyEnv ? process.env[apiKeyEnv] : options.apiKey
+    });
+}
+
+function createProviderRegistry(providerConfigs) {
+    const registry = new Map();
+    Object.entries(providerConfigs).forEach(([name, options]) => {
+        registry.set(name, createProvider(options));
+    });
+    return registry;
+}
+
+// Reads the provider list and MODEL_PRIORITY from AI_CONFIG (default config/ai.json)
+function loadAIConfig(file = process.env.AI_CONFIG || DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+    if (!config.providers || !Array.isArray(config.models) || config.models.length === 0) {
+        throw new Error(`${file} must define "providers" and a non-empty "models" list`);
+    }
+    config.models.forEach(model => {
+        if (!config.providers[model.provider]) {
+            throw new Error(`${file}: model ${model.name} uses undeclared provider "${model.provider}"`);
+        }
+        model.config = model.config || {};
+    });
+
+    return { file, ...config };
+}
+
+module.exports = {
+    loadAIConfig,
+    createProviderRegistry,
+    isRateLimitError,
+    GeminiProvider,
+    GroqProvider,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    MockProvider
+};
@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+
+// Room tokens for video consultations. A token names one appointment and one side of it
+// ({ appointment, role, user, exp }) and is signed with HMAC-SHA256, so the signaling
+// endpoints can trust it without a lookup. It is only issued inside the call window
+// around the appointment time and expires when the window closes.
+
+const encode = (value) => Buffer.from(value).toString('base64url');
+
+function sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+// { opensAt, closesAt } for an appointment, `before`/`after` in minutes around its start
+function callWindow(appointment, { before, after }) {
+    const start = appointment.date.getTime();
+    return {
+        opensAt: new Date(start - before * 60 * 1000),
+        closesAt: new Date(start + after * 60 * 1000)
+    };
+}
+
+function createCallToken({ appointment, role, user, expiresAt }, secret) {
+    const body = encode(JSON.stringify({
+        appointment: String(appointment),
+        role,
+        user: String(user),
+        exp: expiresAt.getTime()
+    }));
+    return `${body}.${sign(body, secret)}`;
+}
+
+// The token's payload if the signature is good, otherwise null. Expiry (`exp`) is left
+// to the caller, so it can say why a token was refused.
+function readCallToken(token, secret) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    try {
+        return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = { callWindow, createCallToken, readCallToken };
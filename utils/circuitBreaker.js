@@ -0,0 +1,157 @@
+// Per-model circuit breaker used by the AI fallback chain.
+//
+//   closed     requests flow; FAILURE_THRESHOLD consecutive failures (or one rate limit) open it
+//   open       requests skip the model until `openUntil`; each re-open doubles the wait
+//   half-open  after the wait one probe request is let through; success closes, failure re-opens
+//
+// A breaker can also be disabled by an admin, which skips the model regardless of state.
+
+const FAILURE_THRESHOLD = 3;
+const BASE_BACKOFF_MS = 15 * 1000;
+const RATE_LIMIT_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const RECENT_WINDOW = 20;
+// Weight of the newest sample in the moving latency average
+const LATENCY_SMOOTHING = 0.3;
+
+class ModelBreaker {
+    constructor(name, provider) {
+        this.name = name;
+        this.provider = provider;
+        this.state = 'closed';
+        this.disabled = false;
+        this.consecutiveFailures = 0;
+        this.openCount = 0;
+        this.openUntil = null;
+        this.probeInFlight = false;
+        this.avgLatencyMs = null;
+        this.recent = [];
+        this.attempts = 0;
+        this.failures = 0;
+        this.rateLimitHits = 0;
+        this.lastFailure = null;
+        this.lastSuccess = null;
+        this.lastError = null;
+    }
+
+    // Whether a request may go to this model now; moves open -> half-open once the wait is over
+    canAttempt(now = Date.now()) {
+        if (this.disabled) return false;
+        if (this.state === 'open') {
+            if (now < this.openUntil) return false;
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open') {
+            if (this.probeInFlight) return false;
+            this.probeInFlight = true;
+        }
+        return true;
+    }
+
+    recordSuccess(latencyMs, now = Date.now()) {
+        this.attempts++;
+        this.state = 'closed';
+        this.probeInFlight = false;
+        this.consecutiveFailures = 0;
+        this.openCount = 0;
+        this.openUntil = null;
+        this.lastSuccess = new Date(now);
+        this.avgLatencyMs = this.avgLatencyMs === null
+            ? latencyMs
+            : Math.round(LATENCY_SMOOTHING * latencyMs + (1 - LATENCY_SMOOTHING) * this.avgLatencyMs);
+        this.pushOutcome(true);
+    }
+
+    recordFailure({ rateLimited = false, message = '' } = {}, now = Date.now()) {
+        this.attempts++;
+        this.failures++;
+        this.consecutiveFailures++;
+        this.lastFailure = new Date(now);
+        this.lastError = message.slice(0, 300);
+        if (rateLimited) this.rateLimitHits++;
+        this.pushOutcome(false);
+
+        const wasProbe = this.state === 'half-open';
+        this.probeInFlight = false;
+        if (wasProbe || rateLimited || this.consecutiveFailures >= FAILURE_THRESHOLD) {
+            this.open(rateLimited ? RATE_LIMIT_BACKOFF_MS : BASE_BACKOFF_MS, now);
+        }
+    }
+
+    open(baseMs, now) {
+        this.openCount++;
+        const wait = Math.min(baseMs * 2 ** (this.openCount - 1), MAX_BACKOFF_MS);
+        this.state = 'open';
+        this.openUntil = new Date(now + wait);
+    }
+
+    // Admins re-enabling a model also give it a clean slate
+    reset() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openCount = 0;
+        this.openUntil = null;
+        this.probeInFlight = false;
+    }
+
+    pushOutcome(ok) {
+        this.recent.push(ok);
+        if (this.recent.length > RECENT_WINDOW) this.recent.shift();
+    }
+
+    // Untried models count as healthy so they still get traffic
+    get successRate() {
+        if (this.recent.length === 0) return 1;
+        return this.recent.filter(Boolean).length / this.recent.length;
+    }
+
+    // Plain fields saved to MongoDB and shown to admins
+    snapshot() {
+        return {
+            name: this.name,
+            provider: this.provider,
+            state: this.state,
+            disabled: this.disabled,
+            consecutiveFailures: this.consecutiveFailures,
+            openCount: this.openCount,
+            openUntil: this.openUntil,
+            avgLatencyMs: this.avgLatencyMs,
+            recent: this.recent,
+            attempts: this.attempts,
+            failures: this.failures,
+            rateLimitHits: this.rateLimitHits,
+            lastFailure: this.lastFailure,
+            lastSuccess: this.lastSuccess,
+            lastError: this.lastError
+        };
+    }
+
+    restore(saved) {
+        const fields = ['state', 'disabled', 'consecutiveFailures', 'openCount', 'openUntil', 'avgLatencyMs',
+            'recent', 'attempts', 'failures', 'rateLimitHits', 'lastFailure', 'lastSuccess', 'lastError'];
+        fields.forEach(field => {
+            if (saved[field] !== undefined) this[field] = saved[field];
+        });
+        // A probe interrupted by a restart never reported back
+        if (this.state === 'half-open') this.state = 'open';
+    }
+}
+
+// Order models by recent success rate, then latency, then their configured position.
+// Both are bucketed (10% / 1s) so small differences don't reshuffle the chain on every call.
+function rankModels(models, breakers) {
+    return models
+        .map((model, index) => {
+            const breaker = breakers.get(model.name);
+            return {
+                model,
+                index,
+                success: Math.round(breaker.successRate * 10),
+                latency: breaker.avgLatencyMs === null ? 0 : Math.floor(breaker.avgLatencyMs / 1000)
+            };
+        })
+        .sort((a, b) => (b.success - a.success) || (a.latency - b.latency) || (a.index - b.index))
+        .map(entry => entry.model);
+}
+
+module.exports = { ModelBreaker, rankModels };
@@ -0,0 +1,10 @@
+// MongoDB connection string shared by the app and the scripts in scripts/, so they always
+// talk to the same database. Set MONGO_URL to use another server or database.
+const DEFAULT_MONGO_URL = "mongodb://127.0.0.1:27017/hacksprint";
+
+// Read at call time, after the caller has loaded .env
+function mongoUrl() {
+    return process.env.MONGO_URL || DEFAULT_MONGO_URL;
+}
+
+module.exports = { mongoUrl };
@@ -0,0 +1,241 @@
+// Body metrics, the structured meal-plan format and its validators, shared by the prompts,
+// the routes in app.js and the DietPlan model. Metrics are computed here, never by the model.
+
+const MEAL_SLOTS = ['breakfast', 'mid-morning', 'lunch', 'evening-snack', 'dinner'];
+const MAX_PLAN_DAYS = 7;
+const MAX_INGREDIENTS = 15;
+
+const ACTIVITY_LEVELS = {
+    sedentary: { label: 'Sedentary (little or no exercise)', factor: 1.2 },
+    light: { label: 'Light (exercise 1-3 days a week)', factor: 1.375 },
+    moderate: { label: 'Moderate (exercise 3-5 days a week)', factor: 1.55 },
+    active: { label: 'Active (exercise 6-7 days a week)', factor: 1.725 },
+    'very-active': { label: 'Very active (physical job or training twice a day)', factor: 1.9 }
+};
+
+// Daily calorie change from maintenance, and share of calories from carbs / protein / fat
+const DIET_GOALS = {
+    'Weight Loss': { calories: -500, macros: { carbs: 0.45, protein: 0.25, fat: 0.30 } },
+    'Weight Gain': { calories: 400, macros: { carbs: 0.50, protein: 0.20, fat: 0.30 } },
+    'Muscle Building': { calories: 300, macros: { carbs: 0.45, protein: 0.30, fat: 0.25 } },
+    'General Health': { calories: 0, macros: { carbs: 0.50, protein: 0.20, fat: 0.30 } },
+    'Heart Health': { calories: 0, macros: { carbs: 0.50, protein: 0.20, fat: 0.30 } },
+    'Diabetes Management': { calories: 0, macros: { carbs: 0.40, protein: 0.25, fat: 0.35 } },
+    'High Protein': { calories: 0, macros: { carbs: 0.40, protein: 0.30, fat: 0.30 } },
+    'Low Carb': { calories: 0, macros: { carbs: 0.25, protein: 0.30, fat: 0.45 } }
+};
+
+// Calorie floor for weight loss without medical supervision
+const MIN_CALORIES = { Male: 1500, Female: 1200, Other: 1350 };
+
+const round = (value, step = 1) => Math.round(value / step) * step;
+
+function bmiCategory(bmi) {
+    if (bmi < 18.5) return 'Underweight';
+    if (bmi < 25) return 'Normal';
+    if (bmi < 30) return 'Overweight';
+    return 'Obese';
+}
+
+// From the patient's profile (height in cm, weight in kg). Mifflin-St Jeor BMR; for a gender
+// other than Male/Female the midpoint of the two formulas is used. Throws listing what is missing.
+function computeBodyMetrics({ height, weight, age, gender }, { activity = 'light', goal = 'General Health' } = {}) {
+    const missing = [];
+    if (!(height > 0)) missing.push('height');
+    if (!(weight > 0)) missing.push('weight');
+    if (!(age > 0)) missing.push('age');
+    if (missing.length > 0) {
+        throw new Error(`Add your ${missing.join(', ')} to your profile first`);
+    }
+    const activityLevel = ACTIVITY_LEVELS[activity];
+    const goalRule = DIET_GOALS[goal];
+    if (!activityLevel) throw new Error(`Activity must be one of ${Object.keys(ACTIVITY_LEVELS).join(', ')}`);
+    if (!goalRule) throw new Error(`Goal must be one of ${Object.keys(DIET_GOALS).join(', ')}`);
+
+    const sex = gender === 'Male' || gender === 'Female' ? gender : 'Other';
+    const sexOffset = { Male: 5, Female: -161, Other: -78 }[sex];
+    const bmi = weight / ((height / 100) ** 2);
+    const bmr = 10 * weight + 6.25 * height - 5 * age + sexOffset;
+    const tdee = bmr * activityLevel.factor;
+    const targetCalories = round(Math.max(tdee + goalRule.calories, MIN_CALORIES[sex]), 10);
+
+    return {
+        heightCm: height,
+        weightKg: weight,
+        age,
+        gender: sex,
+        bmi: Math.round(bmi * 10) / 10,
+        bmiCategory: bmiCategory(bmi),
+        bmr: round(bmr),
+        tdee: round(tdee),
+        targetCalories,
+        // Grams per day: 4 kcal per gram of carbs or protein, 9 per gram of fat
+        macros: {
+            carbs: round(targetCalories * goalRule.macros.carbs / 4),
+            protein: round(targetCalories * goalRule.macros.protein / 4),
+            fat: round(targetCalories * goalRule.macros.fat / 9)
+        }
+    };
+}
+
+// Example given to the model in the prompt
+const MEAL_FORMAT = `{
+  "slot": "breakfast | mid-morning | lunch | evening-snack | dinner",
+  "name": "Dish name",
+  "description": "One sentence on how to prepare or serve it",
+  "ingredients": [{ "item": "Rolled oats", "quantity": 50, "unit": "g" }],
+  "calories": 350,
+  "protein": 12,
+  "carbs": 55,
+  "fat": 8
+}`;
+
+const DIET_PLAN_FORMAT = `{
+  "days": [
+    {
+      "day": 1,
+      "meals": [ ${MEAL_FORMAT.replace(/\n/g, '\n      ')} ]
+    }
+  ],
+  "tips": ["Short practical tip, e.g. on hydration"]
+}`;
+
+function text(value, max = 300) {
+    return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// Non-negative number, accepting "350 kcal" style strings; null when unreadable
+function amount(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? Math.round(number * 10) / 10 : null;
+}
+
+function validateMeal(meal, expectedSlot, field, problems) {
+    const clean = {
+        slot: text(meal?.slot).toLowerCase(),
+        name: text(meal?.name, 120),
+        description: text(meal?.description),
+        ingredients: (Array.isArray(meal?.ingredients) ? meal.ingredients : []).slice(0, MAX_INGREDIENTS).map(ingredient => ({
+            item: text(ingredient?.item, 80),
+            quantity: amount(ingredient?.quantity),
+            unit: text(ingredient?.unit, 20).toLowerCase()
+        })).filter(ingredient => ingredient.item),
+        calories: amount(meal?.calories),
+        protein: amount(meal?.protein),
+        carbs: amount(meal?.carbs),
+        fat: amount(meal?.fat)
+    };
+    if (clean.slot !== expectedSlot) problems.push(`${field}.slot must be "${expectedSlot}"`);
+    if (!clean.name) problems.push(`${field}.name is required`);
+    if (clean.ingredients.length === 0) problems.push(`${field}.ingredients must list at least one item`);
+    ['calories', 'protein', 'carbs', 'fat'].forEach(key => {
+        if (clean[key] === null) problems.push(`${field}.${key} must be a number`);
+    });
+    return clean;
+}
+
+// Returns a validator for a plan of `days` days with every meal slot filled, in order
+// (extra days are dropped, so a longer plan still serves a shorter request)
+function dietPlanValidator(days) {
+    return (data) => {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.days)) {
+            throw new Error('Expected a JSON object with a "days" array');
+        }
+        if (data.days.length < days) {
+            throw new Error(`days must have ${days} entries`);
+        }
+        const problems = [];
+        const cleanDays = data.days.slice(0, days).map((day, d) => {
+            const meals = Array.isArray(day?.meals) ? day.meals : [];
+            if (meals.length !== MEAL_SLOTS.length) {
+                problems.push(`days[${d}].meals must have ${MEAL_SLOTS.length} meals: ${MEAL_SLOTS.join(', ')}`);
+            }
+            return {
+                day: d + 1,
+                meals: MEAL_SLOTS.map((slot, m) => validateMeal(meals[m], slot, `days[${d}].meals[${m}]`, problems))
+            };
+        });
+        if (problems.length > 0) {
+            // Long lists don't help the model fix its answer
+            throw new Error(problems.slice(0, 10).join('; '));
+        }
+        return {
+            days: cleanDays,
+            tips: (Array.isArray(data.tips) ? data.tips : []).map(tip => text(tip)).filter(Boolean).slice(0, 6)
+        };
+    };
+}
+
+function mealValidator(slot) {
+    return (data) => {
+        const problems = [];
+        const meal = validateMeal(data, slot, 'meal', problems);
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+        return meal;
+    };
+}
+
+function dayTotals(day) {
+    const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+    day.meals.forEach(meal => {
+        Object.keys(totals).forEach(key => { totals[key] += meal[key] || 0; });
+    });
+    Object.keys(totals).forEach(key => { totals[key] = Math.round(totals[key]); });
+    return totals;
+}
+
+// Units that can be added together once converted to the first unit of their group
+const UNIT_GROUPS = [
+    { base: 'g', units: { g: 1, gm: 1, gms: 1, gram: 1, grams: 1, kg: 1000 } },
+    { base: 'ml', units: { ml: 1, l: 1000, litre: 1000, liter: 1000 } }
+];
+
+function baseUnit(unit) {
+    for (const group of UNIT_GROUPS) {
+        if (group.units[unit] !== undefined) return { unit: group.base, factor: group.units[unit] };
+    }
+    return { unit: unit.replace(/s$/, ''), factor: 1 };
+}
+
+// Every ingredient across the plan, same item and unit added up; item names are matched without case
+function buildGroceryList(plan) {
+    const items = new Map();
+    plan.days.forEach(day => {
+        day.meals.forEach(meal => {
+            meal.ingredients.forEach(ingredient => {
+                const { unit, factor } = baseUnit(ingredient.unit || '');
+                const key = `${ingredient.item.toLowerCase()}|${unit}`;
+                const entry = items.get(key) || { item: ingredient.item, unit, quantity: 0, unmeasured: false, meals: 0 };
+                if (typeof ingredient.quantity !== 'number') entry.unmeasured = true;
+                else entry.quantity += ingredient.quantity * factor;
+                entry.meals++;
+                items.set(key, entry);
+            });
+        });
+    });
+
+    return [...items.values()]
+        .map(entry => {
+            let { quantity, unit } = entry;
+            if (unit === 'g' && quantity >= 1000) { quantity /= 1000; unit = 'kg'; }
+            if (unit === 'ml' && quantity >= 1000) { quantity /= 1000; unit = 'l'; }
+            return { ...entry, quantity: Math.round(quantity * 100) / 100, unit };
+        })
+        .sort((a, b) => a.item.localeCompare(b.item));
+}
+
+module.exports = {
+    MEAL_SLOTS,
+    MAX_PLAN_DAYS,
+    ACTIVITY_LEVELS,
+    DIET_GOALS,
+    MEAL_FORMAT,
+    DIET_PLAN_FORMAT,
+    computeBodyMetrics,
+    dietPlanValidator,
+    mealValidator,
+    dayTotals,
+    buildGroceryList
+};
@@ -0,0 +1,27 @@
+// Identify an upload from its leading bytes instead of trusting the client
+const SIGNATURES = [
+    { mimeType: "application/pdf", extension: ".pdf", bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+    { mimeType: "image/png", extension: ".png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { mimeType: "image/jpeg", extension: ".jpg", bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: "image/gif", extension: ".gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mimeType: "image/webp", extension: ".webp", bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] } // RIFF....WEBP
+];
+
+function detectFileType(buffer) {
+    const match = SIGNATURES.find(sig =>
+        sig.bytes.every((b, i) => buffer[i] === b) &&
+        (!sig.at8 || sig.at8.every((b, i) => buffer[8 + i] === b))
+    );
+    return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+}
+
+// Decode a base64 string or data: URL into a Buffer; callers check that `data` is a string
+function decodeBase64Upload(data) {
+    if (typeof data !== "string") {
+        throw new TypeError("Upload data must be a base64 string");
+    }
+    const base64 = data.includes(",") ? data.split(",")[1] : data;
+    return Buffer.from(base64, "base64");
+}
+
+module.exports = { detectFileType, decodeBase64Upload };
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+
+// Local medicine catalog, config/formulary.json (override with FORMULARY_CONFIG):
+//   { id, name (generic), synonyms?: [name], brands: [name], category }
+// Names are compared without case, spaces or punctuation, and misspellings are matched by
+// edit distance, so "paracetmol", "Crocin" and "Tab. Dolo 650" all resolve to paracetamol.
+
+const DEFAULT_FORMULARY_PATH = path.join(__dirname, "..", "config", "formulary.json");
+
+const normalizeName = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function loadFormulary(file = process.env.FORMULARY_CONFIG || DEFAULT_FORMULARY_PATH) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const ids = new Set();
+
+    const medicines = config.medicines.map(medicine => {
+        if (!medicine.id || !medicine.name || !Array.isArray(medicine.brands)) {
+            throw new Error(`${file}: every medicine needs an id, name and brands (may be empty)`);
+        }
+        if (ids.has(medicine.id)) {
+            throw new Error(`${file}: duplicate medicine id ${medicine.id}`);
+        }
+        ids.add(medicine.id);
+
+        const names = [
+            { text: medicine.name, kind: 'generic' },
+            ...(medicine.synonyms || []).map(text => ({ text, kind: 'synonym' })),
+            ...medicine.brands.map(text => ({ text, kind: 'brand' }))
+        ].map(name => ({ ...name, key: normalizeName(name.text) }));
+
+        return { id: medicine.id, name: medicine.name, category: medicine.category || '', brands: medicine.brands, synonyms: medicine.synonyms || [], names };
+    });
+
+    return { medicines, byId: new Map(medicines.map(m => [m.id, m])) };
+}
+
+// Levenshtein distance with adjacent swaps counted as one edit; gives up once it exceeds `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Every run of consecutive words in the query, normalized: "Tab. Dolo 650" -> tab, dolo, 650, tabdolo, dolo650, ...
+function wordRuns(query) {
+    const words = String(query || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).slice(0, 12);
+    const runs = new Set();
+    words.forEach((_, i) => {
+        for (let j = i + 1; j <= words.length; j++) runs.add(words.slice(i, j).join(''));
+    });
+    return runs;
+}
+
+// How well a normalized query names one catalog name: { score 0-1, match } or null
+function scoreName(query, runs, key) {
+    if (key === query) return { score: 1, match: 'exact' };
+    if (key.startsWith(query)) return { score: 0.9, match: 'prefix' };
+    // "Tab Crocin Advance 500" names the brand among other words
+    if (runs.has(key)) return { score: 0.85, match: 'contains' };
+    if (query.length >= 3 && key.includes(query)) return { score: 0.7, match: 'partial' };
+
+    const allowed = query.length <= 4 ? 1 : query.length <= 8 ? 2 : 3;
+    const whole = editDistance(query, key, allowed);
+    if (whole <= allowed) return { score: 0.65 - whole * 0.05, match: 'typo' };
+    // Still typing, with a typo in what has been typed so far
+    if (query.length >= 4 && key.length > query.length) {
+        const prefix = editDistance(query, key.slice(0, query.length), allowed);
+        if (prefix <= allowed) return { score: 0.5 - prefix * 0.05, match: 'prefix-typo' };
+    }
+    return null;
+}
+
+// Best-matching medicines for autocomplete, best first
+function searchFormulary(formulary, query, limit = 8) {
+    const q = normalizeName(query);
+    if (q.length < 2) return [];
+    const runs = wordRuns(query);
+
+    const results = [];
+    formulary.medicines.forEach(medicine => {
+        let best = null;
+        medicine.names.forEach(name => {
+            const scored = scoreName(q, runs, name.key);
+            if (scored && (!best || scored.score > best.score)) {
+                best = { ...scored, matchedName: name.text, matchedKind: name.kind };
+            }
+        });
+        if (best) {
+            results.push({ id: medicine.id, name: medicine.name, category: medicine.category, brands: medicine.brands, ...best });
+        }
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
+
+// The one medicine a query confidently refers to, or null when it is unknown or ambiguous
+function resolveMedicine(formulary, query) {
+    const [best, second] = searchFormulary(formulary, query, 2);
+    if (!best || !['exact', 'prefix', 'contains', 'typo'].includes(best.match)) return null;
+    if (best.match !== 'exact' && second && second.score >= best.score) return null;
+    return { medicine: formulary.byId.get(best.id), matchedName: best.matchedName, match: best.match };
+}
+
+module.exports = { loadFormulary, searchFormulary, resolveMedicine };
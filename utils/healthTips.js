@@ -0,0 +1,80 @@
+// Shape of generated health tips and the patient profile they are written for,
+// shared by the prompt, the validator, the HealthTip model and the daily feed
+
+const HEALTH_TIP_CATEGORIES = [
+    'General Health', 'Fitness', 'Nutrition', 'Mental Health', 'Sleep',
+    'Heart Health', 'Diabetes Management', 'Weight Management', 'Stress Management'
+];
+const TIP_FEEDBACK = ['helpful', 'unhelpful'];
+const MAX_TIPS = 10;
+
+// Example given to the model in the prompt
+const HEALTH_TIPS_FORMAT = `{
+  "tips": [
+    { "title": "Short catchy title", "tip": "What to do, 2-3 specific sentences", "why": "Brief benefit explanation" }
+  ]
+}`;
+
+function text(value, max = 600) {
+    return typeof value === 'string' ? value.trim().slice(0, max) : '';
+}
+
+// Titles compared without case, punctuation, numbering or filler words, so a reworded repeat is still caught
+function tipFingerprint(title) {
+    return String(title || '').toLowerCase()
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !/^\d+$/.test(word) && !['a', 'an', 'the', 'your', 'you', 'to', 'and', 'of', 'for', 'tip'].includes(word))
+        .join(' ');
+}
+
+// Returns a validator expecting at least `count` tips (more are kept, so repeats can be dropped)
+function healthTipsValidator(count) {
+    return (data) => {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.tips)) {
+            throw new Error('Expected a JSON object with a "tips" array');
+        }
+        const problems = [];
+        const tips = data.tips.map((tip, i) => {
+            const clean = { title: text(tip?.title, 120), tip: text(tip?.tip), why: text(tip?.why, 300) };
+            if (!clean.title) problems.push(`tips[${i}].title is required`);
+            if (!clean.tip) problems.push(`tips[${i}].tip is required`);
+            return clean;
+        });
+        if (tips.length < count) {
+            problems.push(`tips must have at least ${count} entries`);
+        }
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+        return { tips: tips.slice(0, MAX_TIPS) };
+    };
+}
+
+// Prompt lines for what is known about the patient; every part is optional
+function describeHealthProfile({ user, medications = [], conditionText = '', analyses = [], labFlags = [] }) {
+    const lines = [];
+    const basics = [
+        user.age ? `${user.age} years old` : null,
+        user.gender && user.gender !== 'NA' ? user.gender : null,
+        user.height && user.weight ? `BMI ${(user.weight / ((user.height / 100) ** 2)).toFixed(1)}` : null
+    ].filter(Boolean);
+    if (basics.length > 0) lines.push(`- ${basics.join(', ')}`);
+    if (conditionText) lines.push(`- Conditions and allergies: ${conditionText.replace(/\s*\n\s*/g, '; ')}`);
+    if (medications.length > 0) lines.push(`- Current medicines: ${medications.map(m => [m.name, m.strength].filter(Boolean).join(' ')).join(', ')}`);
+    analyses.forEach(a => {
+        const top = a.conditions[0] ? ` (possible ${a.conditions[0].name})` : '';
+        lines.push(`- Symptom check on ${a.createdAt.toISOString().slice(0, 10)}: ${a.symptoms.slice(0, 150)}${top}`);
+    });
+    if (labFlags.length > 0) lines.push(`- Recent lab results outside the normal range: ${labFlags.join(', ')}`);
+    return lines.length > 0 ? lines.join('\n') : '- Nothing recorded (write for a general adult audience)';
+}
+
+module.exports = {
+    HEALTH_TIP_CATEGORIES,
+    TIP_FEEDBACK,
+    HEALTH_TIPS_FORMAT,
+    tipFingerprint,
+    healthTipsValidator,
+    describeHealthProfile
+};
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deterministic medicine interaction checks. The dataset lives in config/drug-interactions.json
+// (override with DRUG_INTERACTIONS_CONFIG):
+//   drugs: { id, name, aliases: [regex source], classes: [class] }
+//   conditions: { id, name, aliases: [regex source] }
+//   interactions: { id, between: [selector, selector], severity, effect, advice }
+//   conditionInteractions: { id, drug: selector, condition, severity, effect, advice }
+// A selector is "drug:<id>" or "class:<class>". Aliases match whole words, case-insensitive;
+// a combination brand is listed as an alias of each of its ingredients.
+// Medicines that match no drug are reported as unrecognized, never assumed safe.
+
+const DEFAULT_DATA_PATH = path.join(__dirname, "..", "config", "drug-interactions.json");
+// Most serious first
+const INTERACTION_SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+const compileAliases = (aliases) => aliases.map(source => new RegExp(`\\b(?:${source})\\b`, 'i'));
+
+function loadInteractionData(file = process.env.DRUG_INTERACTIONS_CONFIG || DEFAULT_DATA_PATH) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+    const drugs = config.drugs.map(drug => {
+        if (!drug.id || !drug.name || !Array.isArray(drug.aliases) || drug.aliases.length === 0) {
+            throw new Error(`${file}: every drug needs an id, name and aliases`);
+        }
+        return { ...drug, classes: drug.classes || [], regexes: compileAliases(drug.aliases) };
+    });
+    const conditions = config.conditions.map(condition => {
+        if (!condition.id || !condition.name || !Array.isArray(condition.aliases) || condition.aliases.length === 0) {
+            throw new Error(`${file}: every condition needs an id, name and aliases`);
+        }
+        return { ...condition, regexes: compileAliases(condition.aliases) };
+    });
+
+    // A typo in a selector would silently disable a rule, so refuse to start instead
+    const drugIds = new Set(drugs.map(d => d.id));
+    const classes = new Set(drugs.flatMap(d => d.classes));
+    const conditionIds = new Set(conditions.map(c => c.id));
+    const checkSelector = (rule, selector) => {
+        const [kind, value] = String(selector).split(':');
+        if (!(kind === 'drug' ? drugIds : kind === 'class' ? classes : new Set()).has(value)) {
+            throw new Error(`${file}: rule ${rule.id} refers to unknown ${selector}`);
+        }
+    };
+    const checkRule = (rule) => {
+        if (!rule.id || !INTERACTION_SEVERITIES.includes(rule.severity) || !rule.effect) {
+            throw new Error(`${file}: every rule needs an id, effect and a severity of ${INTERACTION_SEVERITIES.join('/')}`);
+        }
+    };
+
+    const interactions = config.interactions.map(rule => {
+        checkRule(rule);
+        if (!Array.isArray(rule.between) || rule.between.length !== 2) {
+            throw new Error(`${file}: interaction ${rule.id} needs exactly two selectors in "between"`);
+        }
+        rule.between.forEach(selector => checkSelector(rule, selector));
+        return rule;
+    });
+    const conditionInteractions = config.conditionInteractions.map(rule => {
+        checkRule(rule);
+        checkSelector(rule, rule.drug);
+        if (!conditionIds.has(rule.condition)) {
+            throw new Error(`${file}: rule ${rule.id} refers to unknown condition ${rule.condition}`);
+        }
+        return rule;
+    });
+
+    return { severities: config.severities || {}, drugs, conditions, interactions, conditionInteractions };
+}
+
+function matchesSelector(drug, selector) {
+    const [kind, value] = selector.split(':');
+    return kind === 'drug' ? drug.id === value : drug.classes.includes(value);
+}
+
+// Every ingredient a medicine name refers to ("Combiflam" is ibuprofen and paracetamol)
+function identifyDrugs(data, name) {
+    return data.drugs.filter(drug => drug.regexes.some(regex => regex.test(name)));
+}
+
+function identifyConditions(data, text) {
+    if (!text) return [];
+    return data.conditions.filter(condition => condition.regexes.some(regex => regex.test(text)));
+}
+
+const bySeverity = (a, b) =>
+    INTERACTION_SEVERITIES.indexOf(a.severity) - INTERACTION_SEVERITIES.indexOf(b.severity) ||
+    Number(b.involvesCandidate) - Number(a.involvesCandidate);
+
+// medicines: [{ name, candidate }]; conditionText: free text describing the patient's conditions.
+// Checks every pair of medicines (not just pairs with the candidate) and every medicine against every condition.
+function checkInteractions(data, { medicines, conditionText = '' }) {
+    const identified = medicines.map(medicine => ({
+        ...medicine,
+        drugs: identifyDrugs(data, medicine.name)
+    }));
+    const conditions = identifyConditions(data, conditionText);
+    const findings = [];
+    const seen = new Set();
+    const add = (key, finding) => {
+        if (seen.has(key)) return;
+        seen.add(key);
+        findings.push(finding);
+    };
+
+    identified.forEach((a, i) => {
+        identified.slice(i + 1).forEach((b, offset) => {
+            const j = i + 1 + offset;
+            a.drugs.forEach(drugA => {
+                b.drugs.forEach(drugB => {
+                    const involvesCandidate = a.candidate || b.candidate;
+                    if (drugA.id === drugB.id) {
+                        add(`duplicate:${drugA.id}:${i}:${j}`, {
+                            kind: 'duplicate',
+                            rule: 'same-ingredient',
+                            severity: 'major',
+                            medicines: [a.name, b.name],
+                            drugs: [drugA.name],
+                            effect: `Both contain ${drugA.name}, so taking them together doubles the dose.`,
+                            advice: 'Take only one of them unless your doctor has told you otherwise.',
+                            involvesCandidate
+                        });
+                        return;
+                    }
+                    data.interactions.forEach(rule => {
+                        const [first, second] = rule.between;
+                        if ((matchesSelector(drugA, first) && matchesSelector(drugB, second)) ||
+                            (matchesSelector(drugA, second) && matchesSelector(drugB, first))) {
+                            add(`${rule.id}:${i}:${j}`, {
+                                kind: 'drug-drug',
+                                rule: rule.id,
+                                severity: rule.severity,
+                                medicines: [a.name, b.name],
+                                drugs: [drugA.name, drugB.name],
+                                effect: rule.effect,
+                                advice: rule.advice,
+                                involvesCandidate
+                            });
+                        }
+                    });
+                });
+            });
+        });
+    });
+
+    identified.forEach((medicine, i) => {
+        medicine.drugs.forEach(drug => {
+            data.conditionInteractions.forEach(rule => {
+                const condition = conditions.find(c => c.id === rule.condition);
+                if (condition && matchesSelector(drug, rule.drug)) {
+                    add(`${rule.id}:${i}`, {
+                        kind: 'drug-condition',
+                        rule: rule.id,
+                        severity: rule.severity,
+                        medicines: [medicine.name],
+                        drugs: [drug.name],
+                        condition: condition.name,
+                        effect: rule.effect,
+                        advice: rule.advice,
+                        involvesCandidate: medicine.candidate
+                    });
+                }
+            });
+        });
+    });
+
+    findings.sort(bySeverity);
+    return {
+        medicines: identified.map(m => ({ name: m.name, candidate: m.candidate, recognizedAs: m.drugs.map(d => d.name) })),
+        unrecognized: identified.filter(m => m.drugs.length === 0).map(m => m.name),
+        conditions: conditions.map(c => c.name),
+        findings,
+        highestSeverity: findings.length > 0 ? findings[0].severity : null
+    };
+}
+
+module.exports = { INTERACTION_SEVERITIES, loadInteractionData, checkInteractions };
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+
+// Rule-based lab value extraction. Analytes live in config/lab-analytes.json (override with LAB_ANALYTES_CONFIG):
+//   { id, name, group, aliases: [regex source], unit, units: { otherUnit: factor | { factor, offset } },
+//     range: { low, high }, ranges?: { male, female }, critical?: { low?, high? } }
+// Values are converted to the analyte's canonical unit so reports from different labs can be trended.
+// A reference range printed on the report wins over the configured one; critical limits always apply.
+
+const DEFAULT_ANALYTES_PATH = path.join(__dirname, "..", "config", "lab-analytes.json");
+const LAB_FLAGS = ['critical-low', 'low', 'normal', 'high', 'critical-high'];
+
+// Text between the analyte name and the number that means the number is not a result
+const NOT_A_RESULT_RE = /\b(above|below|over|under|less|more|greater|than|if|indicates?|target|goal|between|normal|range|ref|reference|upto|up to)\b/i;
+const VALUE_RE = /(?<=^|[\s:=])([<>]=?\s*)?(\d+(?:\.\d+)?)(?=$|[\s*]|[a-zA-Z%µμ\/])/g;
+const RANGE_RES = [
+    { re: /(\d+(?:\.\d+)?)\s*(?:-|–|—|to)\s*(\d+(?:\.\d+)?)/i, build: m => ({ low: Number(m[1]), high: Number(m[2]) }) },
+    { re: /(?:<|<=|≤|up\s*to|upto|less\s+than)\s*(\d+(?:\.\d+)?)/i, build: m => ({ low: null, high: Number(m[1]) }) },
+    { re: /(?:>|>=|≥|more\s+than|greater\s+than)\s*(\d+(?:\.\d+)?)/i, build: m => ({ low: Number(m[1]), high: null }) }
+];
+
+function normalizeUnit(unit) {
+    return unit.toLowerCase()
+        .replace(/[µμ]/g, 'u')
+        .replace(/mcg/g, 'ug')
+        .replace(/mcl/g, 'ul')
+        .replace(/×/g, 'x')
+        .replace(/³/g, '^3')
+        .replace(/\s+/g, '')
+        .replace(/\*/g, '^')
+        .replace(/(cu\.?mm|cmm|mm\^?3)$/, 'ul')
+        .replace(/lakhs?\/ul$/, 'lakh/ul');
+}
+
+function loadLabAnalytes(file = process.env.LAB_ANALYTES_CONFIG || DEFAULT_ANALYTES_PATH) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    return config.analytes.map(analyte => {
+        if (!analyte.id || !analyte.name || !analyte.unit || !Array.isArray(analyte.aliases) || !analyte.range) {
+            throw new Error(`${file}: every analyte needs an id, name, unit, aliases and range`);
+        }
+        const conversions = { [normalizeUnit(analyte.unit)]: { factor: 1, offset: 0 } };
+        Object.entries(analyte.units || {}).forEach(([unit, conversion]) => {
+            conversions[normalizeUnit(unit)] = typeof conversion === 'number'
+                ? { factor: conversion, offset: 0 }
+                : { factor: conversion.factor, offset: conversion.offset || 0 };
+        });
+        return {
+            ...analyte,
+            conversions,
+            regexes: analyte.aliases.map(source => new RegExp(source, 'i'))
+        };
+    });
+}
+
+// Earliest alias match on the line (longest on a tie), so "Glycated Hemoglobin" is HbA1c, not Hemoglobin
+function matchAnalyte(analytes, line) {
+    let best = null;
+    analytes.forEach(analyte => {
+        analyte.regexes.forEach(regex => {
+            const m = regex.exec(line);
+            if (m && (!best || m.index < best.index || (m.index === best.index && m[0].length > best.length))) {
+                best = { analyte, index: m.index, length: m[0].length };
+            }
+        });
+    });
+    return best;
+}
+
+// Unit written right after the value: tries one token, then two ("10^3 /uL")
+function readUnit(analyte, rest) {
+    const tokens = rest.trim().split(/\s+/).filter(Boolean);
+    for (const count of [2, 1]) {
+        if (tokens.length < count) continue;
+        const candidate = tokens.slice(0, count).join('');
+        const conversion = analyte.conversions[normalizeUnit(candidate)];
+        if (conversion) {
+            return { raw: tokens.slice(0, count).join(' '), conversion, consumed: count };
+        }
+    }
+    const first = tokens[0] || '';
+    const looksLikeUnit = /[a-z%\/]/i.test(first) && !/^(h|l|high|low|normal|\*+)$/i.test(first) && !/^[<>≤≥\d]/.test(first);
+    return { raw: looksLikeUnit ? first : '', conversion: null, consumed: looksLikeUnit ? 1 : 0 };
+}
+
+function convert(value, conversion) {
+    if (value === null || value === undefined) return null;
+    return Math.round((value * conversion.factor + conversion.offset) * 1000) / 1000;
+}
+
+function flagFor(value, range, critical = {}) {
+    if (critical.low !== undefined && value < critical.low) return 'critical-low';
+    if (critical.high !== undefined && value > critical.high) return 'critical-high';
+    if (range.low !== null && range.low !== undefined && value < range.low) return 'low';
+    if (range.high !== null && range.high !== undefined && value > range.high) return 'high';
+    return 'normal';
+}
+
+function defaultRange(analyte, gender) {
+    const key = (gender || '').toLowerCase();
+    return (analyte.ranges && analyte.ranges[key]) || analyte.range;
+}
+
+// One result per analyte (first occurrence), each flagged against its reference range
+function extractLabResults(analytes, text, { gender } = {}) {
+    const results = [];
+    const seen = new Set();
+
+    text.split(/\r?\n/).forEach(line => {
+        if (/\bratio\b/i.test(line)) return;
+        const match = matchAnalyte(analytes, line);
+        if (!match || seen.has(match.analyte.id)) return;
+
+        const { analyte } = match;
+        const remainder = line.slice(match.index + match.length);
+        // A digit glued to the name is part of it ("Vitamin D3"), not the result
+        const glued = /\w$/.test(line.slice(0, match.index + match.length));
+        const valueMatch = [...remainder.matchAll(VALUE_RE)].find(m => !(glued && m.index === 0));
+        if (!valueMatch) return;
+        const gap = remainder.slice(0, valueMatch.index);
+        if (gap.length > 60 || NOT_A_RESULT_RE.test(gap)) return;
+
+        const rawValue = Number(valueMatch[2]);
+        const afterValue = remainder.slice(valueMatch.index + valueMatch[0].length);
+        const unit = readUnit(analyte, afterValue);
+        const rangeText = afterValue.trim().split(/\s+/).slice(unit.consumed).join(' ');
+
+        // No unit printed: assume the canonical one
+        const conversion = unit.conversion || (unit.raw ? null : analyte.conversions[normalizeUnit(analyte.unit)]);
+
+        let reportRange = null;
+        for (const { re, build } of RANGE_RES) {
+            const m = re.exec(rangeText);
+            if (m) {
+                reportRange = build(m);
+                break;
+            }
+        }
+
+        const result = {
+            analyte: analyte.id,
+            name: analyte.name,
+            group: analyte.group,
+            rawValue,
+            rawUnit: unit.raw,
+            value: rawValue,
+            unit: unit.raw,
+            refLow: null,
+            refHigh: null,
+            refSource: null,
+            flag: null
+        };
+
+        if (conversion) {
+            result.value = convert(rawValue, conversion);
+            result.unit = analyte.unit;
+            const range = reportRange
+                ? { low: convert(reportRange.low, conversion), high: convert(reportRange.high, conversion) }
+                : defaultRange(analyte, gender);
+            result.refLow = range.low ?? null;
+            result.refHigh = range.high ?? null;
+            result.refSource = reportRange ? 'report' : 'default';
+            result.flag = flagFor(result.value, range, analyte.critical);
+        } else if (reportRange) {
+            // Unit we can't convert: still judge it against the lab's own range
+            result.refLow = reportRange.low;
+            result.refHigh = reportRange.high;
+            result.refSource = 'report';
+            result.flag = flagFor(rawValue, reportRange);
+        }
+
+        // "<5" style results are only bounds
+        if (valueMatch[1]) {
+            result.qualifier = valueMatch[1].replace(/\s/g, '');
+        }
+
+        seen.add(analyte.id);
+        results.push(result);
+    });
+
+    return results;
+}
+
+function formatLabResult(r) {
+    const ref = r.refLow !== null || r.refHigh !== null
+        ? ` (ref ${r.refLow ?? ''}–${r.refHigh ?? ''})`
+        : '';
+    const flag = r.flag ? ` ${r.flag.toUpperCase()}` : '';
+    return `${r.name}: ${r.qualifier || ''}${r.value} ${r.unit}${ref}${flag}`.replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { LAB_FLAGS, loadLabAnalytes, extractLabResults, formatLabResult, normalizeUnit, flagFor };
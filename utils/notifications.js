@@ -0,0 +1,178 @@
+// Transactional email templates. Each takes the data passed to queueNotification in app.js and
+// returns { subject, text }. Appointment templates are rendered once per recipient; `role` is
+// 'patient' or 'doctor' and `actor` is whoever made the change.
+
+const formatWhen = (date) => date.toLocaleString([], { dateStyle: 'full', timeStyle: 'short' });
+
+// Link back to the page each side manages appointments from
+const appointmentsLink = ({ role, appUrl }) => role === 'doctor'
+    ? `Open your dashboard: ${appUrl}/doctor/dashboard`
+    : `View or manage your appointments: ${appUrl}/appointments`;
+
+// "Dr. Rao" for the patient, "Asha Kumar" for the doctor
+const otherParty = ({ role, doctor, patient }) => role === 'doctor' ? patient.name : `Dr. ${doctor.name}`;
+
+// "you" when the recipient made the change themselves
+const byWhom = ({ role, actor, doctor, patient }) => {
+    if (actor === role) return 'you';
+    return actor === 'doctor' ? `Dr. ${doctor.name}` : patient.name;
+};
+
+const greeting = ({ role, doctor, patient }) => `Hi ${role === 'doctor' ? `Dr. ${doctor.name}` : patient.name},`;
+
+const lines = (...parts) => parts.filter(line => line !== null && line !== undefined).join('\n');
+
+const TEMPLATES = {
+    'patient.welcome': ({ patient, appUrl }) => ({
+        subject: 'Welcome to DocOnCall',
+        text: lines(
+            `Hi ${patient.name},`,
+            '',
+            'Your DocOnCall account is ready. You can chat with our health assistant, check symptoms and book consultations with verified doctors.',
+            '',
+            `Complete your health profile for better suggestions: ${appUrl}/about`
+        )
+    }),
+
+    'doctor.welcome': ({ doctor, appUrl }) => ({
+        subject: 'Welcome to DocOnCall',
+        text: lines(
+            `Hi Dr. ${doctor.name},`,
+            '',
+            'Your DocOnCall account is ready. Upload your degree and ID and request verification from your dashboard; patients can book you once an administrator has verified you.',
+            '',
+            `Open your dashboard: ${appUrl}/doctor/dashboard`
+        )
+    }),
+
+    'appointment.booked': (data) => {
+        const { role, appointment, patient } = data;
+        return {
+            subject: role === 'doctor'
+                ? `New appointment request from ${patient.name}`
+                : `Appointment requested with ${otherParty(data)}`,
+            text: lines(
+                greeting(data),
+                '',
+                role === 'doctor'
+                    ? `${patient.name} booked a consultation with you for ${formatWhen(appointment.date)}.`
+                    : `Your consultation with ${otherParty(data)} on ${formatWhen(appointment.date)} is booked.`,
+                role === 'doctor' && appointment.reason ? `Reason: ${appointment.reason}` : null,
+                role === 'doctor'
+                    ? 'Please confirm or reschedule it from your dashboard.'
+                    : 'We will email you when the doctor confirms it.',
+                '',
+                appointmentsLink(data)
+            )
+        };
+    },
+
+    'appointment.confirmed': (data) => ({
+        subject: `Appointment confirmed: ${formatWhen(data.appointment.date)}`,
+        text: lines(
+            greeting(data),
+            '',
+            `Your consultation with ${otherParty(data)} on ${formatWhen(data.appointment.date)} was confirmed by ${byWhom(data)}.`,
+            '',
+            appointmentsLink(data)
+        )
+    }),
+
+    'appointment.rescheduled': (data) => ({
+        subject: `Appointment moved to ${formatWhen(data.appointment.date)}`,
+        text: lines(
+            greeting(data),
+            '',
+            `Your consultation with ${otherParty(data)} was moved by ${byWhom(data)}` +
+                (data.previousDate ? ` from ${formatWhen(data.previousDate)}` : '') +
+                ` to ${formatWhen(data.appointment.date)}.`,
+            data.appointment.status !== 'Pending' ? null
+                : data.role === 'doctor' ? 'Please confirm the new time from your dashboard.' : 'The doctor needs to confirm the new time.',
+            '',
+            appointmentsLink(data)
+        )
+    }),
+
+    'appointment.completed': (data) => ({
+        subject: `Consultation with ${otherParty(data)} completed`,
+        text: lines(
+            greeting(data),
+            '',
+            `Your consultation with ${otherParty(data)} on ${formatWhen(data.appointment.date)} is marked as completed.`,
+            data.role === 'patient' ? 'Any prescription from this visit will appear in your appointments.' : null,
+            '',
+            appointmentsLink(data)
+        )
+    }),
+
+    'appointment.cancelled': (data) => ({
+        subject: `Appointment cancelled: ${formatWhen(data.appointment.date)}`,
+        text: lines(
+            greeting(data),
+            '',
+            `Your consultation with ${otherParty(data)} on ${formatWhen(data.appointment.date)} was cancelled by ${byWhom(data)}.`,
+            data.appointment.cancelReason ? `Reason: ${data.appointment.cancelReason}` : null,
+            data.role === 'patient' ? 'You can book another slot at any time.' : null,
+            '',
+            appointmentsLink(data)
+        )
+    }),
+
+    // Sent for the first unread message in a thread while the recipient is not online; the body
+    // is not included, the recipient reads it after signing in
+    'message.received': (data) => ({
+        subject: `New message from ${otherParty(data)}`,
+        text: lines(
+            greeting(data),
+            '',
+            `${otherParty(data)} sent you a message about the consultation on ${formatWhen(data.appointment.date)}.`,
+            '',
+            data.role === 'doctor'
+                ? `Reply from your dashboard: ${data.appUrl}/doctor/dashboard`
+                : `Read and reply: ${data.appUrl}/messages?appointment=${data.appointment._id}`
+        )
+    }),
+
+    'doctor.verified': ({ doctor, note, appUrl }) => ({
+        subject: 'Your DocOnCall profile is verified',
+        text: lines(
+            `Hi Dr. ${doctor.name},`,
+            '',
+            'An administrator has verified your credentials. Patients can now find and book you.',
+            note ? `Note from the reviewer: ${note}` : null,
+            '',
+            `Set your weekly availability: ${appUrl}/doctor/dashboard`
+        )
+    }),
+
+    'doctor.rejected': ({ doctor, note, appUrl }) => ({
+        subject: 'Your DocOnCall verification needs attention',
+        text: lines(
+            `Hi Dr. ${doctor.name},`,
+            '',
+            'An administrator could not verify your profile, so patients cannot book you yet.',
+            note ? `Reason: ${note}` : null,
+            'Update your documents and request verification again from your dashboard.',
+            '',
+            `Open your dashboard: ${appUrl}/doctor/dashboard`
+        )
+    })
+};
+
+// Appointment action (see APPOINTMENT_ACTIONS) -> template
+const APPOINTMENT_ACTION_TEMPLATES = {
+    confirm: 'appointment.confirmed',
+    complete: 'appointment.completed',
+    cancel: 'appointment.cancelled',
+    reschedule: 'appointment.rescheduled'
+};
+
+function renderNotification(template, data) {
+    const render = TEMPLATES[template];
+    if (!render) {
+        throw new Error(`Unknown notification template: ${template}`);
+    }
+    return render(data);
+}
+
+module.exports = { APPOINTMENT_ACTION_TEMPLATES, renderNotification };
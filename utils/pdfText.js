@@ -0,0 +1,209 @@
+const zlib = require("zlib");
+
+// Pulls the text out of a text-based PDF (the kind lab systems export) without a PDF library.
+// Handles uncompressed and Flate-compressed content streams and the common text operators.
+// Scanned PDFs and fonts with custom CID encodings come back empty or garbled, so callers
+// should fall back to asking for pasted text when nothing useful is found.
+
+// Limits against compression bombs: a stream that inflates past MAX_STREAM_BYTES is skipped, and
+// reading stops once MAX_INFLATED_BYTES have been inflated or MAX_TEXT_CHARS of text are found
+// (far more than any caller sends on to a model)
+const MAX_STREAM_BYTES = 10 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+const MAX_TEXT_CHARS = 200000;
+
+// Streams that never hold page text
+const SKIP_STREAM_RE = /\/Subtype\s*\/Image|\/FontFile|\/Length1|\/Type\s*\/(XRef|ObjStm|Metadata)/;
+
+function extractPdfText(buffer) {
+    const raw = buffer.toString('latin1');
+    const pages = [];
+    let inflatedBytes = 0;
+    let textChars = 0;
+    const streamRe = /\bstream\r?\n/g;
+    let match;
+
+    while ((match = streamRe.exec(raw)) !== null && textChars < MAX_TEXT_CHARS && inflatedBytes < MAX_INFLATED_BYTES) {
+        const start = match.index + match[0].length;
+        const end = raw.indexOf('endstream', start);
+        if (end === -1) break;
+        streamRe.lastIndex = end + 'endstream'.length;
+
+        const dict = raw.slice(raw.lastIndexOf(' obj', match.index), match.index);
+        if (SKIP_STREAM_RE.test(dict)) continue;
+
+        let data = buffer.subarray(start, end);
+        if (/\/FlateDecode/.test(dict)) {
+            try {
+                data = zlib.inflateSync(data, {
+                    finishFlush: zlib.constants.Z_SYNC_FLUSH,
+                    maxOutputLength: MAX_STREAM_BYTES
+                });
+                inflatedBytes += data.length;
+            } catch (err) {
+                continue;
+            }
+        } else if (/\/Filter/.test(dict)) {
+            continue;
+        }
+
+        const text = contentStreamText(data.toString('latin1'));
+        if (text.trim()) {
+            pages.push(text);
+            textChars += text.length;
+        }
+    }
+
+    return pages.join('\n')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ ?\n ?/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+// Literal string starting at the "(" at `i`; returns [text, index after the closing ")"]
+function readLiteral(content, i) {
+    let depth = 1;
+    let text = '';
+    i++;
+    while (i < content.length && depth > 0) {
+        const c = content[i];
+        if (c === '\\') {
+            const next = content[i + 1];
+            if (/[0-7]/.test(next)) {
+                const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                text += String.fromCharCode(parseInt(octal, 8));
+                i += 1 + octal.length;
+                continue;
+            }
+            if (next === '\r' || next === '\n') {
+                i += content[i + 2] === '\n' && next === '\r' ? 3 : 2;
+                continue;
+            }
+            text += ESCAPES[next] ?? next;
+            i += 2;
+            continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')' && --depth === 0) break;
+        text += c;
+        i++;
+    }
+    return [text, i + 1];
+}
+
+function readHex(content, i) {
+    const end = content.indexOf('>', i);
+    const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s/g, '');
+    let text = '';
+    for (let j = 0; j < hex.length; j += 2) {
+        text += String.fromCharCode(parseInt(hex.slice(j, j + 2).padEnd(2, '0'), 16));
+    }
+    return [text, end === -1 ? content.length : end + 1];
+}
+
+// Text shown by one content stream, with line breaks where the text position moves down
+function contentStreamText(content) {
+    let out = '';
+    let operands = [];
+    const arrays = [];
+    let lastY = null;
+    let i = 0;
+
+    const push = (value) => {
+        if (arrays.length > 0) arrays[arrays.length - 1].push(value);
+        else operands.push(value);
+    };
+    const newLine = () => {
+        if (out && !out.endsWith('\n')) out += '\n';
+    };
+
+    while (i < content.length) {
+        const c = content[i];
+
+        if (/\s/.test(c)) { i++; continue; }
+        if (c === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+            continue;
+        }
+        if (c === '(') {
+            const [text, next] = readLiteral(content, i);
+            push(text);
+            i = next;
+            continue;
+        }
+        if (c === '<' && content[i + 1] !== '<') {
+            const [text, next] = readHex(content, i);
+            push(text);
+            i = next;
+            continue;
+        }
+        if (c === '<' || c === '>' || c === '{' || c === '}') { i++; continue; }
+        if (c === '[') { arrays.push([]); i++; continue; }
+        if (c === ']') {
+            const array = arrays.pop() || [];
+            push(array);
+            i++;
+            continue;
+        }
+
+        const found = content.slice(i, i + 256).match(/^[^\s()<>[\]{}\/%]+|^\/[^\s()<>[\]{}\/%]*/);
+        if (!found) { i++; continue; }
+        const token = found[0];
+        i += token.length;
+
+        if (token.startsWith('/')) { push(token); continue; }
+        if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(token)) { push(Number(token)); continue; }
+
+        // Operator
+        switch (token) {
+            case 'Tj':
+                out += operands[operands.length - 1] || '';
+                break;
+            case "'":
+            case '"':
+                newLine();
+                out += operands[operands.length - 1] || '';
+                break;
+            case 'TJ':
+                (operands[operands.length - 1] || []).forEach(part => {
+                    if (typeof part === 'string') out += part;
+                    else if (part < -250) out += ' ';
+                });
+                break;
+            case 'Td':
+            case 'TD': {
+                const ty = operands[1];
+                if (Math.abs(ty) > 0.5) newLine();
+                else out += ' ';
+                break;
+            }
+            case 'Tm': {
+                const y = operands[5];
+                if (lastY !== null && Math.abs(y - lastY) > 0.5) newLine();
+                else out += ' ';
+                lastY = y;
+                break;
+            }
+            case 'T*':
+                newLine();
+                break;
+            case 'ET':
+                out += ' ';
+                break;
+            case 'ID': {
+                // Inline image data runs until EI
+                const end = content.indexOf('EI', i);
+                i = end === -1 ? content.length : end + 2;
+                break;
+            }
+        }
+        operands = [];
+    }
+
+    return out;
+}
+
+module.exports = { extractPdfText };
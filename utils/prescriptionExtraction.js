@@ -0,0 +1,70 @@
+// Shape of a structured prescription reading, shared by the prompt and the validator
+
+const MAX_MEDICINES = 20;
+const MAX_FIELD_LENGTH = 200;
+
+// Example given to the model in the prompt
+const PRESCRIPTION_FORMAT = `{
+  "medicines": [
+    {
+      "name": "Medicine name as written",
+      "strength": "e.g. 500 mg (empty string if not written)",
+      "frequency": "e.g. twice daily / 1-0-1 (empty string if not written)",
+      "duration": "e.g. 5 days (empty string if not written)",
+      "instructions": "e.g. after food (empty string if none)",
+      "confidence": 0.0
+    }
+  ],
+  "prescriber": "Doctor's name if visible, else empty string",
+  "date": "Prescription date as written, else empty string",
+  "warnings": ["Anything unclear, unreadable or needing verification"]
+}`;
+
+function text(value) {
+    return typeof value === 'string' ? value.trim().slice(0, MAX_FIELD_LENGTH) : '';
+}
+
+// Models sometimes answer 85 or "85%" for 0.85
+function confidence(value) {
+    let number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number !== 'number' || Number.isNaN(number)) return null;
+    if (number > 1) number /= 100;
+    return Math.min(1, Math.max(0, Math.round(number * 100) / 100));
+}
+
+// Returns a cleaned copy of a model's reading, or throws listing everything that is wrong
+function validatePrescriptionExtraction(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Expected a JSON object');
+    }
+    if (!Array.isArray(data.medicines)) {
+        throw new Error('medicines must be an array (empty if none can be read)');
+    }
+    const problems = [];
+
+    const medicines = data.medicines.slice(0, MAX_MEDICINES).map((medicine, i) => {
+        const clean = {
+            name: text(medicine?.name),
+            strength: text(medicine?.strength),
+            frequency: text(medicine?.frequency),
+            duration: text(medicine?.duration),
+            instructions: text(medicine?.instructions),
+            confidence: confidence(medicine?.confidence)
+        };
+        if (!clean.name) problems.push(`medicines[${i}].name is required`);
+        if (clean.confidence === null) problems.push(`medicines[${i}].confidence must be a number from 0 to 1`);
+        return clean;
+    });
+
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+    return {
+        medicines,
+        prescriber: text(data.prescriber),
+        date: text(data.date),
+        warnings: (Array.isArray(data.warnings) ? data.warnings : []).map(text).filter(Boolean).slice(0, 10)
+    };
+}
+
+module.exports = { PRESCRIPTION_FORMAT, validatePrescriptionExtraction };
@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deterministic emergency screening for patient-written text, run before anything goes to a model.
+// Rules and helpline numbers live in config/red-flags.json (override with RED_FLAGS_CONFIG):
+//   { id, category, title, patterns: [regex source, case-insensitive], advice, negatable? }
+// A match is ignored when the same clause negates it just before ("no chest pain"),
+// unless the rule sets `negatable: false` (self-harm statements are never discounted).
+// A comma or a conjunction ends the negation, so "no fever but vomiting blood" still flags.
+// `examples` ([{ text, flags: [rule ids] }]) are checked on load, so a rule change that
+// breaks one fails at startup.
+
+const DEFAULT_RULES_PATH = path.join(__dirname, "..", "config", "red-flags.json");
+const NEGATION_RE = /\b(no|not(?! sure)|never|without|denies|denied|don'?t have|doesn'?t have|haven'?t had)\b.{0,20}$/i;
+const CLAUSE_BREAK_RE = /[.!?\n,;:]|\b(?:but|and|however|though|although|yet)\b/i;
+
+function loadRedFlagRules(file = process.env.RED_FLAGS_CONFIG || DEFAULT_RULES_PATH) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const rules = config.rules.map(rule => {
+        if (!rule.id || !rule.category || !Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+            throw new Error(`${file}: every rule needs an id, category and patterns`);
+        }
+        return {
+            ...rule,
+            negatable: rule.negatable !== false,
+            regexes: rule.patterns.map(source => new RegExp(source, 'gi'))
+        };
+    });
+    (config.examples || []).forEach(({ text, flags }) => {
+        const found = detectRedFlags(rules, text).map(m => m.id).sort().join(', ');
+        if (found !== [...flags].sort().join(', ')) {
+            throw new Error(`${file}: "${text}" should flag [${flags.join(', ')}] but flags [${found}]`);
+        }
+    });
+    return { rules, helplines: config.helplines || {} };
+}
+
+// Only the clause leading up to the match can negate it
+function isNegated(text, index) {
+    const clause = text.slice(Math.max(0, index - 40), index).split(CLAUSE_BREAK_RE).pop();
+    return NEGATION_RE.test(clause);
+}
+
+// Every rule that fires on `text`, with the phrase that triggered it
+function detectRedFlags(rules, text) {
+    const matches = [];
+    for (const rule of rules) {
+        for (const regex of rule.regexes) {
+            regex.lastIndex = 0;
+            let found;
+            let hit = null;
+            while ((found = regex.exec(text)) !== null) {
+                if (!rule.negatable || !isNegated(text, found.index)) {
+                    hit = found[0];
+                    break;
+                }
+                if (found[0].length === 0) regex.lastIndex++;
+            }
+            if (hit) {
+                matches.push({ id: rule.id, category: rule.category, title: rule.title, advice: rule.advice, matched: hit });
+                break;
+            }
+        }
+    }
+    return matches;
+}
+
+// What the patient sees instead of an AI answer
+function buildEmergencyResponse(matches, helplines) {
+    const lines = [
+        '🚨 Your message mentions something that may need emergency care, so Dr. AI will not give routine advice for it.',
+        ...matches.map(m => `• ${m.title}: ${m.advice}`),
+        helplines.length > 0
+            ? `Get help now: ${helplines.map(h => `${h.name} ${h.number}`).join(' · ')}`
+            : 'Call your local emergency number now.'
+    ];
+    return {
+        emergency: true,
+        flags: matches.map(({ id, category, title, advice }) => ({ id, category, title, advice })),
+        helplines,
+        message: lines.join('\n')
+    };
+}
+
+module.exports = { loadRedFlagRules, detectRedFlags, buildEmergencyResponse };
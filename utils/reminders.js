@@ -0,0 +1,132 @@
+// Scheduling rules for dose and appointment reminders. All times are server local time,
+// like appointment slots. The scheduler in app.js turns these into rows in the reminders collection.
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sent this long before each booked appointment
+const APPOINTMENT_REMINDER_OFFSETS = [
+    { label: '24h', ms: DAY_MS, phrase: 'in 24 hours' },
+    { label: '1h', ms: 60 * 60 * 1000, phrase: 'in 1 hour' }
+];
+
+const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+};
+
+// Checked, de-duplicated and sorted "HH:MM" list; throws with a message for the patient
+function parseReminderTimes(value, max = 6) {
+    const times = Array.isArray(value)
+        ? value
+        : String(value || '').split(',');
+    const clean = [...new Set(times.map(t => String(t).trim()).filter(Boolean))].sort();
+    const invalid = clean.find(t => !TIME_RE.test(t));
+    if (invalid) {
+        throw new Error(`"${invalid}" is not a valid time; use 24-hour HH:MM`);
+    }
+    if (clean.length > max) {
+        throw new Error(`At most ${max} reminder times per medication`);
+    }
+    return clean;
+}
+
+// "5 days", "2 weeks", "1 month" -> days; null when open-ended or unreadable
+function parseDurationDays(duration) {
+    const match = String(duration || '').match(/(\d+)\s*(days?|d\b|weeks?|wks?|w\b|months?|mo\b)/i);
+    if (!match) return null;
+    const unit = match[2].toLowerCase();
+    const multiplier = unit.startsWith('w') ? 7 : unit.startsWith('m') ? 30 : 1;
+    return Number(match[1]) * multiplier;
+}
+
+// When a course of medicine ends, from its start date and duration
+function medicationEndsAt(medication) {
+    const days = parseDurationDays(medication.duration);
+    if (!days || !medication.startDate) return null;
+    return new Date(new Date(medication.startDate).getTime() + days * DAY_MS);
+}
+
+// Scheduled dose times of an active medication in (from, to]
+function doseTimesDue(medication, from, to) {
+    if (!medication.active || !medication.reminderTimes || medication.reminderTimes.length === 0) return [];
+    const start = medication.startDate ? new Date(medication.startDate) : null;
+    const end = medicationEndsAt(medication);
+    const due = [];
+
+    const day = new Date(from);
+    day.setHours(0, 0, 0, 0);
+    for (; day <= to; day.setDate(day.getDate() + 1)) {
+        medication.reminderTimes.forEach(time => {
+            const at = new Date(day);
+            at.setHours(0, toMinutes(time), 0, 0);
+            if (at > from && at <= to && (!start || at >= start) && (!end || at < end)) {
+                due.push(at);
+            }
+        });
+    }
+    return due;
+}
+
+// Quiet hours may wrap past midnight ("22:00" to "07:00"); equal start and end means none
+function inQuietHours(date, quietHours) {
+    if (!quietHours || !quietHours.start || !quietHours.end || quietHours.start === quietHours.end) return false;
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start < end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+}
+
+// First moment after `date` when quiet hours are over
+function quietHoursEnd(date, quietHours) {
+    const end = new Date(date);
+    end.setHours(0, toMinutes(quietHours.end), 0, 0);
+    if (end <= date) end.setDate(end.getDate() + 1);
+    return end;
+}
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function doseReminderMessage(user, medication, dueAt, appUrl) {
+    const dose = [medication.name, medication.strength].filter(Boolean).join(' ');
+    return {
+        subject: `💊 Time for your ${medication.name}`,
+        text: [
+            `Hi ${user.name},`,
+            '',
+            `It's ${formatTime(dueAt)}: time to take ${dose}.`,
+            medication.instructions ? `Instructions: ${medication.instructions}` : null,
+            '',
+            `Change reminder times or quiet hours on your profile: ${appUrl}/about`
+        ].filter(line => line !== null).join('\n')
+    };
+}
+
+function appointmentReminderMessage(user, appointment, offset, appUrl) {
+    const doctor = appointment.doctor;
+    return {
+        subject: `📅 Reminder: appointment with Dr. ${doctor.name} ${offset.phrase}`,
+        text: [
+            `Hi ${user.name},`,
+            '',
+            `Your consultation with Dr. ${doctor.name}${doctor.specialization ? ` (${doctor.specialization})` : ''} is on ${appointment.date.toLocaleString()}.`,
+            appointment.status === 'Pending' ? 'The doctor has not confirmed it yet.' : null,
+            '',
+            `View or manage your appointments: ${appUrl}/appointments`
+        ].filter(line => line !== null).join('\n')
+    };
+}
+
+module.exports = {
+    APPOINTMENT_REMINDER_OFFSETS,
+    parseReminderTimes,
+    parseDurationDays,
+    medicationEndsAt,
+    doseTimesDue,
+    inQuietHours,
+    quietHoursEnd,
+    doseReminderMessage,
+    appointmentReminderMessage
+};
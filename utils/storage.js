@@ -0,0 +1,53 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Every storage backend implements the same three async methods:
+//   save(buffer, { folder, extension }) -> key   (opaque string to store in MongoDB)
+//   read(key)                           -> Buffer
+//   remove(key)                         -> void
+// Select one with STORAGE_BACKEND; only "local" ships with the app.
+
+class LocalDiskStorage {
+    constructor(rootDir) {
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    // Keys are generated here, but still refuse anything that escapes rootDir
+    resolve(key) {
+        const fullPath = path.resolve(this.rootDir, key);
+        if (!fullPath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return fullPath;
+    }
+
+    async save(buffer, { folder = "misc", extension = "" } = {}) {
+        const key = path.posix.join(folder, `${crypto.randomUUID()}${extension}`);
+        const fullPath = this.resolve(key);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, buffer);
+        return key;
+    }
+
+    async read(key) {
+        return fs.readFile(this.resolve(key));
+    }
+
+    async remove(key) {
+        await fs.rm(this.resolve(key), { force: true });
+    }
+}
+
+const backends = {
+    local: () => new LocalDiskStorage(process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads"))
+};
+
+function createStorage(name = process.env.STORAGE_BACKEND || "local") {
+    if (!backends[name]) {
+        throw new Error(`Unknown storage backend: ${name}`);
+    }
+    return backends[name]();
+}
+
+module.exports = { createStorage, LocalDiskStorage };
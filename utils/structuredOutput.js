@@ -0,0 +1,43 @@
+// Helpers for AI routes that need JSON back instead of free text.
+// A validator takes the parsed value and either returns the cleaned-up result
+// or throws an Error whose message says what is wrong (it is shown to the model on re-ask).
+
+// Pulls the JSON object out of a model reply: strips code fences and surrounding prose,
+// and drops trailing commas, which models add often enough to be worth fixing locally
+function extractJSON(text) {
+    const unfenced = String(text).replace(/```(?:json)?/gi, '');
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('Response does not contain a JSON object');
+    }
+
+    const candidate = unfenced.slice(start, end + 1);
+    try {
+        return JSON.parse(candidate);
+    } catch (err) {
+        try {
+            return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+        } catch {
+            throw new Error(`Response is not valid JSON (${err.message})`);
+        }
+    }
+}
+
+function buildRepairPrompt(problem) {
+    return `Your previous answer could not be used: ${problem}.
+Reply again with ONLY the corrected JSON object, following the structure requested above. No markdown, no code fences, no text before or after the JSON.`;
+}
+
+// Parses and validates `text`; if that fails, asks the same model once to fix its answer.
+// `reask(prompt)` sends the repair prompt as a follow-up turn and resolves with the new reply.
+async function parseWithRepair(text, validate, reask) {
+    try {
+        return validate(extractJSON(text));
+    } catch (err) {
+        const repaired = await reask(buildRepairPrompt(err.message));
+        return validate(extractJSON(repaired));
+    }
+}
+
+module.exports = { extractJSON, parseWithRepair };
@@ -0,0 +1,87 @@
+// Shape of a structured symptom analysis, shared by the prompt, the validator and the model
+
+const PROBABILITY_LEVELS = ['High', 'Medium', 'Low'];
+const SEVERITY_LEVELS = ['Low', 'Medium', 'High'];
+const URGENCY_LEVELS = ['Immediate', 'Soon', 'Routine'];
+const MAX_CONDITIONS = 5;
+const MAX_RECOMMENDATIONS = 8;
+
+// Example given to the model in the prompt
+const SYMPTOM_ANALYSIS_FORMAT = `{
+  "conditions": [
+    { "name": "Condition name", "probability": "High | Medium | Low", "explanation": "Why this is suspected" }
+  ],
+  "severity": { "level": "Low | Medium | High", "explanation": "Why" },
+  "urgency": { "level": "Immediate | Soon | Routine", "explanation": "When to seek care" },
+  "recommendations": ["Specific recommendation"],
+  "disclaimer": "Statement that this is not a diagnosis and a doctor should be consulted"
+}`;
+
+function text(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+// Case-insensitive match against the allowed values, returning the canonical spelling
+function level(value, allowed) {
+    return allowed.find(option => option.toLowerCase() === text(value).toLowerCase());
+}
+
+function validateLeveled(value, allowed, field, problems) {
+    const result = { level: level(value?.level, allowed), explanation: text(value?.explanation) };
+    if (!result.level) {
+        problems.push(`${field}.level must be one of ${allowed.join(', ')}`);
+    }
+    return result;
+}
+
+// Returns a cleaned copy of a model's analysis, or throws listing everything that is wrong
+function validateSymptomAnalysis(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Expected a JSON object');
+    }
+    const problems = [];
+
+    const conditions = Array.isArray(data.conditions) ? data.conditions.slice(0, MAX_CONDITIONS) : [];
+    if (conditions.length === 0) {
+        problems.push('conditions must be a non-empty array');
+    }
+    const cleanConditions = conditions.map((condition, i) => {
+        const clean = {
+            name: text(condition?.name),
+            probability: level(condition?.probability, PROBABILITY_LEVELS),
+            explanation: text(condition?.explanation)
+        };
+        if (!clean.name) problems.push(`conditions[${i}].name is required`);
+        if (!clean.probability) problems.push(`conditions[${i}].probability must be one of ${PROBABILITY_LEVELS.join(', ')}`);
+        return clean;
+    });
+
+    const severity = validateLeveled(data.severity, SEVERITY_LEVELS, 'severity', problems);
+    const urgency = validateLeveled(data.urgency, URGENCY_LEVELS, 'urgency', problems);
+
+    const recommendations = (Array.isArray(data.recommendations) ? data.recommendations : [])
+        .map(text)
+        .filter(Boolean)
+        .slice(0, MAX_RECOMMENDATIONS);
+    if (recommendations.length === 0) {
+        problems.push('recommendations must be a non-empty array of strings');
+    }
+
+    const disclaimer = text(data.disclaimer);
+    if (!disclaimer) {
+        problems.push('disclaimer is required');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+    return { conditions: cleanConditions, severity, urgency, recommendations, disclaimer };
+}
+
+module.exports = {
+    PROBABILITY_LEVELS,
+    SEVERITY_LEVELS,
+    URGENCY_LEVELS,
+    SYMPTOM_ANALYSIS_FORMAT,
+    validateSymptomAnalysis
+};
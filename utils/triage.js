@@ -0,0 +1,203 @@
+// Question flow for guided symptom triage.
+// The next question is chosen from the answers so far: core questions every patient gets,
+// topic questions picked from keywords in the chief complaint, and follow-ups that only
+// apply after certain answers. Anything already known from the patient's profile is skipped.
+//
+// Question types:
+//   choice  one of `options`          multi  any of `options` (or "None of these")
+//   scale   integer from min to max   text   free text
+
+const NONE_OF_THESE = 'None of these';
+const MAX_TEXT_LENGTH = 500;
+
+const TOPICS = {
+    fever: {
+        keywords: ['fever', 'temperature', 'chills', 'shivering'],
+        associated: ['Cough', 'Sore throat', 'Body aches', 'Rash', 'Burning when passing urine', 'Stiff neck'],
+        questions: [
+            { id: 'feverHighest', text: "What's the highest temperature you have measured?", type: 'choice',
+                options: ['Not measured', 'Below 38°C / 100.4°F', '38–39°C / 100.4–102.2°F', 'Above 39°C / 102.2°F'] }
+        ]
+    },
+    pain: {
+        keywords: ['pain', 'ache', 'hurts', 'hurting', 'sore', 'cramp'],
+        associated: ['Swelling', 'Redness or warmth', 'Numbness or tingling', 'Nausea'],
+        questions: [
+            { id: 'painLocation', text: 'Where exactly is the pain, and does it spread anywhere?', type: 'text' },
+            { id: 'painCharacter', text: 'How would you describe the pain?', type: 'choice',
+                options: ['Sharp or stabbing', 'Dull or aching', 'Burning', 'Cramping', 'Throbbing', 'Pressure or tightness'] }
+        ]
+    },
+    respiratory: {
+        keywords: ['cough', 'breath', 'wheez', 'phlegm', 'congest', 'throat'],
+        associated: ['Fever', 'Runny or blocked nose', 'Chest discomfort', 'Wheezing'],
+        questions: [
+            { id: 'coughType', text: 'If you are coughing, what kind of cough is it?', type: 'choice',
+                options: ['No cough', 'Dry', 'Bringing up clear or white phlegm', 'Bringing up yellow or green phlegm', 'Bringing up blood'] },
+            { id: 'breathless', text: 'Are you short of breath?', type: 'choice',
+                options: ['No', 'Only when active', 'Even at rest'] }
+        ]
+    },
+    digestive: {
+        keywords: ['vomit', 'nausea', 'diarrh', 'stomach', 'abdom', 'belly', 'constipat', 'acidity', 'indigestion'],
+        associated: ['Fever', 'Blood in stool', 'Bloating', 'Loss of appetite'],
+        questions: [
+            { id: 'fluidsDown', text: 'Are you able to keep fluids down?', type: 'choice',
+                options: ['Yes', 'Some of the time', 'No'] },
+            { id: 'urination', text: 'Are you passing urine as usual?', type: 'choice',
+                options: ['Yes', 'Less than usual', 'Hardly at all'] }
+        ]
+    },
+    headache: {
+        keywords: ['headache', 'migraine', 'head ache'],
+        associated: ['Sensitivity to light', 'Nausea or vomiting', 'Vision changes', 'Neck stiffness'],
+        questions: [
+            { id: 'headachePattern', text: 'Is this like headaches you have had before?', type: 'choice',
+                options: ['Yes, it is my usual headache', 'Similar but worse', 'No, it is completely new'] }
+        ]
+    },
+    skin: {
+        keywords: ['rash', 'itch', 'skin', 'spots', 'hives', 'blister'],
+        associated: ['Fever', 'Swelling of lips or face', 'Joint pain', 'Peeling skin'],
+        questions: [
+            { id: 'rashSpread', text: 'Is the rash spreading?', type: 'choice',
+                options: ['No', 'Slowly', 'Quickly'] }
+        ]
+    }
+};
+
+const GENERAL_ASSOCIATED = ['Fever', 'Fatigue', 'Loss of appetite', 'Dizziness'];
+
+// Ordered question list; `when` decides whether a question applies, `fromProfile` skips it
+// when the profile already answers it
+const FLOW = [
+    { id: 'age', text: 'How old are you?', type: 'scale', min: 0, max: 120, fromProfile: 'age' },
+    { id: 'gender', text: 'What is your gender?', type: 'choice', options: ['Male', 'Female', 'Other'], fromProfile: 'gender' },
+    { id: 'onset', text: 'When did this start?', type: 'choice',
+        options: ['Today', '1–3 days ago', '4–7 days ago', '1–4 weeks ago', 'More than a month ago'] },
+    { id: 'onsetSpeed', text: 'Did it come on suddenly or gradually?', type: 'choice',
+        options: ['Suddenly (within minutes)', 'Over a few hours', 'Gradually over days'] },
+    { id: 'severity', text: 'How bad is it right now, from 1 (mild) to 10 (worst imaginable)?', type: 'scale', min: 1, max: 10 },
+    { id: 'severeImpact', text: 'Is it stopping you from sleeping, eating or doing normal daily activities?', type: 'choice',
+        options: ['No', 'Somewhat', 'Yes, completely'], when: (a) => a.severity >= 7 },
+    { id: 'trend', text: 'Is it getting better, worse or staying the same?', type: 'choice',
+        options: ['Better', 'Worse', 'About the same', 'Comes and goes'] },
+    { topicQuestions: true },
+    { id: 'associated', text: 'Do you also have any of these?', type: 'multi', options: null },
+    { id: 'pregnancy', text: 'Could you be pregnant?', type: 'choice', options: ['No', 'Possibly', 'Yes'],
+        when: (a, profile) => profile.gender === 'Female' && (!profile.age || (profile.age >= 12 && profile.age <= 55)) },
+    { id: 'medications', text: 'What medicines are you currently taking, including anything for this problem? (Write "none" if none)', type: 'text' },
+    { id: 'allergies', text: 'Do you have any medicine allergies? (Write "none" if none)', type: 'text' },
+    { id: 'tried', text: 'Have you tried anything for it so far, and did it help?', type: 'text',
+        when: (a) => a.onset !== 'Today' }
+];
+
+function topicsFor(complaint) {
+    const text = complaint.toLowerCase();
+    return Object.entries(TOPICS)
+        .filter(([, topic]) => topic.keywords.some(k => text.includes(k)))
+        .map(([name]) => name);
+}
+
+// The profile with anything the patient has answered during triage filled in
+function effectiveProfile(session) {
+    const answers = answerMap(session);
+    return {
+        age: session.profile.age || answers.age || null,
+        gender: session.profile.gender || answers.gender || null,
+        conditions: session.profile.conditions || ''
+    };
+}
+
+function answerMap(session) {
+    const map = {};
+    session.answers.forEach(a => { map[a.questionId] = a.value; });
+    return map;
+}
+
+function expandFlow(session) {
+    const questions = [];
+    FLOW.forEach(step => {
+        if (step.topicQuestions) {
+            session.topics.forEach(name => questions.push(...TOPICS[name].questions));
+        } else if (step.id === 'associated') {
+            const options = [...new Set(session.topics.flatMap(name => TOPICS[name].associated).concat(
+                session.topics.length === 0 ? GENERAL_ASSOCIATED : []))];
+            questions.push({ ...step, options: [...options, NONE_OF_THESE] });
+        } else {
+            questions.push(step);
+        }
+    });
+    return questions;
+}
+
+// Next unanswered question that applies, or null when triage is complete
+function nextTriageQuestion(session) {
+    const answers = answerMap(session);
+    const profile = effectiveProfile(session);
+    const question = expandFlow(session).find(q =>
+        !(q.id in answers)
+        && !(q.fromProfile && session.profile[q.fromProfile])
+        && (!q.when || q.when(answers, profile))
+    );
+    if (!question) return null;
+
+    const { when, fromProfile, ...publicFields } = question;
+    return publicFields;
+}
+
+// Checks an answer against its question; returns the value to store or throws with a message for the patient
+function parseTriageAnswer(question, raw) {
+    if (question.type === 'scale') {
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < question.min || value > question.max) {
+            throw new Error(`Please enter a whole number from ${question.min} to ${question.max}`);
+        }
+        return value;
+    }
+    if (question.type === 'choice') {
+        if (!question.options.includes(raw)) {
+            throw new Error('Please choose one of the options');
+        }
+        return raw;
+    }
+    if (question.type === 'multi') {
+        const values = Array.isArray(raw) ? raw : [];
+        if (values.length === 0 || values.some(v => !question.options.includes(v))) {
+            throw new Error(`Please pick the options that apply, or "${NONE_OF_THESE}"`);
+        }
+        return values.includes(NONE_OF_THESE) ? [NONE_OF_THESE] : values;
+    }
+    const text = typeof raw === 'string' ? raw.trim() : '';
+    if (!text) {
+        throw new Error('Please type an answer');
+    }
+    return text.slice(0, MAX_TEXT_LENGTH);
+}
+
+function formatAnswer(value) {
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// Plain-text interview for the assessment prompt
+function triageTranscript(session) {
+    const profile = effectiveProfile(session);
+    return [
+        `Chief complaint: ${session.complaint}`,
+        `Age: ${profile.age || 'Not specified'}`,
+        `Gender: ${profile.gender || 'Not specified'}`,
+        `Known conditions: ${profile.conditions || 'None recorded'}`,
+        ...session.answers
+            .filter(a => a.questionId !== 'age' && a.questionId !== 'gender')
+            .map(a => `Q: ${a.question}\nA: ${formatAnswer(a.value)}`)
+    ].join('\n');
+}
+
+module.exports = {
+    topicsFor,
+    effectiveProfile,
+    nextTriageQuestion,
+    parseTriageAnswer,
+    formatAnswer,
+    triageTranscript
+};
@@ -0,0 +1,247 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeUnit, flagFor } = require("./labResults.js");
+
+// Home readings (weight, blood pressure, glucose, ...). Types live in config/vitals.json
+// (override with VITALS_CONFIG):
+//   { id, name, unit, units?: { otherUnit: factor | { factor, offset } }, contexts?: [context], defaultContext?,
+//     fields: [{ key, name, min, max, range?: { low, high }, contextRanges?: { context: range }, critical?: { low, high } }],
+//     advice?: { flag: text } }
+// Values are stored in the canonical unit and flagged with the same rules as lab results; `min`/`max`
+// reject readings that cannot be real (usually a typo or the wrong unit).
+
+const DEFAULT_VITALS_PATH = path.join(__dirname, "..", "config", "vitals.json");
+const VITALS_CSV_COLUMNS = ['recorded_at', 'type', 'value', 'unit', 'context', 'note'];
+const MAX_NOTE_LENGTH = 200;
+const FLAG_RANK = { 'normal': 0, 'low': 1, 'high': 1, 'critical-low': 2, 'critical-high': 2 };
+
+function loadVitalTypes(file = process.env.VITALS_CONFIG || DEFAULT_VITALS_PATH) {
+    const config = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const types = config.vitals.map(type => {
+        if (!type.id || !type.name || !type.unit || !Array.isArray(type.fields) || type.fields.length === 0) {
+            throw new Error(`${file}: every vital needs an id, name, unit and fields`);
+        }
+        type.fields.forEach(field => {
+            if (!field.key || !field.name || typeof field.min !== 'number' || typeof field.max !== 'number') {
+                throw new Error(`${file}: every field of ${type.id} needs a key, name, min and max`);
+            }
+        });
+        const contexts = type.contexts || [];
+        if (contexts.length > 0 && !contexts.includes(type.defaultContext)) {
+            throw new Error(`${file}: ${type.id} needs a defaultContext from its contexts`);
+        }
+        const conversions = { [normalizeUnit(type.unit)]: { factor: 1, offset: 0 } };
+        Object.entries(type.units || {}).forEach(([unit, conversion]) => {
+            conversions[normalizeUnit(unit)] = typeof conversion === 'number'
+                ? { factor: conversion, offset: 0 }
+                : { factor: conversion.factor, offset: conversion.offset || 0 };
+        });
+        return { ...type, contexts, advice: type.advice || {}, conversions };
+    });
+    return { types, byId: new Map(types.map(t => [t.id, t])) };
+}
+
+// What the client needs to build the entry form and charts
+function describeVitalTypes(vitals) {
+    return vitals.types.map(type => ({
+        id: type.id,
+        name: type.name,
+        unit: type.unit,
+        units: [type.unit, ...Object.keys(type.units || {})],
+        contexts: type.contexts,
+        defaultContext: type.defaultContext,
+        fields: type.fields.map(f => ({
+            key: f.key,
+            name: f.name,
+            range: f.range || null,
+            contextRanges: f.contextRanges || null,
+            critical: f.critical || null
+        }))
+    }));
+}
+
+const worstFlag = (flags) => flags.reduce((worst, flag) => (FLAG_RANK[flag] > FLAG_RANK[worst] ? flag : worst), 'normal');
+
+// "120/80" or { systolic, diastolic } for multi-field types, a number for the rest
+function readRawValues(type, value) {
+    if (type.fields.length === 1) {
+        const single = value !== null && typeof value === 'object' ? value[type.fields[0].key] : value;
+        return { [type.fields[0].key]: single };
+    }
+    if (typeof value === 'string') {
+        const parts = value.split('/').map(p => p.trim());
+        if (parts.length !== type.fields.length) {
+            throw new Error(`${type.name} must be written as ${type.fields.map(f => f.name.toLowerCase()).join('/')}, e.g. 120/80`);
+        }
+        return Object.fromEntries(type.fields.map((f, i) => [f.key, parts[i]]));
+    }
+    return value !== null && typeof value === 'object' ? value : {};
+}
+
+// Cleaned, converted and flagged entry from user input; throws with a message the patient can act on
+function readVitalEntry(vitals, input, now = new Date()) {
+    const type = vitals.byId.get(String(input.type || '').trim());
+    if (!type) {
+        throw new Error(`Type must be one of ${vitals.types.map(t => t.id).join(', ')}`);
+    }
+
+    const unit = input.unit ? String(input.unit).trim() : type.unit;
+    const conversion = type.conversions[normalizeUnit(unit)];
+    if (!conversion) {
+        throw new Error(`${type.name} must be in ${[type.unit, ...Object.keys(type.units || {})].join(' or ')}`);
+    }
+
+    let context;
+    if (type.contexts.length > 0) {
+        context = input.context ? String(input.context).trim().toLowerCase() : type.defaultContext;
+        if (!type.contexts.includes(context)) {
+            throw new Error(`${type.name} context must be one of ${type.contexts.join(', ')}`);
+        }
+    }
+
+    let recordedAt = now;
+    if (input.recordedAt) {
+        recordedAt = new Date(input.recordedAt);
+        if (Number.isNaN(recordedAt.getTime())) {
+            throw new Error(`"${input.recordedAt}" is not a date and time`);
+        }
+        if (recordedAt > new Date(now.getTime() + 5 * 60 * 1000)) {
+            throw new Error('Readings cannot be in the future');
+        }
+    }
+
+    const raw = readRawValues(type, input.value !== undefined ? input.value : input.values);
+    const values = type.fields.map(field => {
+        const number = typeof raw[field.key] === 'string' ? Number(raw[field.key].trim()) : raw[field.key];
+        if (typeof number !== 'number' || !Number.isFinite(number) || raw[field.key] === '') {
+            throw new Error(`${field.name} must be a number`);
+        }
+        const value = Math.round((number * conversion.factor + conversion.offset) * 10) / 10;
+        if (value < field.min || value > field.max) {
+            throw new Error(`${field.name} of ${value} ${type.unit} is outside what can be measured (${field.min}-${field.max}); check the value and unit`);
+        }
+        const range = (context && field.contextRanges && field.contextRanges[context]) || field.range;
+        return { key: field.key, value, flag: range || field.critical ? flagFor(value, range || {}, field.critical) : null };
+    });
+
+    const flags = values.map(v => v.flag).filter(Boolean);
+    return {
+        type: type.id,
+        values,
+        unit: type.unit,
+        context,
+        flag: flags.length > 0 ? worstFlag(flags) : null,
+        recordedAt,
+        note: input.note ? String(input.note).trim().slice(0, MAX_NOTE_LENGTH) : ''
+    };
+}
+
+function formatVitalValue(entry) {
+    return entry.values.map(v => v.value).join('/');
+}
+
+// { severity: critical | warning, message, advice } for an out-of-range entry, otherwise null
+function vitalAlert(vitals, entry) {
+    if (!entry.flag || entry.flag === 'normal') return null;
+    const type = vitals.byId.get(entry.type);
+    if (!type) return null;
+    const outOfRange = entry.values.filter(v => v.flag && v.flag !== 'normal')
+        .map(v => type.fields.find(f => f.key === v.key).name.toLowerCase());
+    const direction = entry.flag.replace('critical-', '');
+    const fields = type.fields.length > 1 ? ` (${outOfRange.join(' and ')})` : '';
+    return {
+        severity: entry.flag.startsWith('critical') ? 'critical' : 'warning',
+        message: `${type.name}${entry.context ? ` (${entry.context})` : ''} of ${formatVitalValue(entry)} ${type.unit} is ${entry.flag.startsWith('critical') ? 'very ' : ''}${direction}${fields}.`,
+        advice: type.advice[entry.flag] || ''
+    };
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spreadsheets run cells starting with these as formulas
+const spreadsheetSafe = (text) => (/^[=+\-@]/.test(text) ? `'${text}` : text);
+
+function vitalsToCsv(entries) {
+    const rows = entries.map(entry => [
+        entry.recordedAt.toISOString(),
+        entry.type,
+        formatVitalValue(entry),
+        entry.unit,
+        entry.context || '',
+        spreadsheetSafe(entry.note || '')
+    ].map(csvCell).join(','));
+    return [VITALS_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row);
+            row = []; cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Rows of an exported (or hand-made) CSV as entry inputs: [{ line, input }]. Columns are found by
+// header name, so their order doesn't matter; only recorded_at, type and value are required.
+function readVitalsCsv(text) {
+    const [header, ...rows] = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(h => h.trim().toLowerCase());
+    const missing = ['recorded_at', 'type', 'value'].filter(c => !columns.includes(c));
+    if (missing.length > 0) {
+        throw new Error(`The CSV needs a header row with ${VITALS_CSV_COLUMNS.join(', ')} (missing ${missing.join(', ')})`);
+    }
+    return rows.map((cells, i) => {
+        const get = (name) => {
+            const index = columns.indexOf(name);
+            return index === -1 ? '' : (cells[index] || '').trim();
+        };
+        return {
+            line: i + 2,
+            input: {
+                recordedAt: get('recorded_at'),
+                type: get('type'),
+                value: get('value'),
+                unit: get('unit') || undefined,
+                context: get('context') || undefined,
+                note: get('note')
+            }
+        };
+    });
+}
+
+module.exports = {
+    VITALS_CSV_COLUMNS,
+    loadVitalTypes,
+    describeVitalTypes,
+    readVitalEntry,
+    formatVitalValue,
+    vitalAlert,
+    vitalsToCsv,
+    readVitalsCsv
+};